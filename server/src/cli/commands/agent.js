@@ -5,6 +5,13 @@ import chalk from "chalk";
 import { AgentSession } from "../../lib/langgraph/session.js";
 import { requireAuth } from "./auth/login.js";
 import { allTools } from "../../lib/langgraph/tools.js";
+import { configureWorkspace } from "../../lib/langgraph/tools/workspace.js";
+import { setShellOutputHandler, cancelRunningCommands } from "../../lib/langgraph/tools/shell.js";
+import { getUserPolicyFile, getProjectPolicyFile } from "../../lib/langgraph/policy.js";
+import { isValidSessionId } from "../../lib/langgraph/checkpoints.js";
+import { GitIsolation } from "../../lib/langgraph/isolation.js";
+import { setStepCompleteHandler } from "../../lib/langgraph/reflector.js";
+import { PLAN_REVIEW_MODES } from "../../lib/langgraph/review.js";
 import { config } from "../../config/google.config.js";
 
 function createSpinner(text) {
@@ -28,6 +35,7 @@ function createSpinner(text) {
     stop: (finalText) => {
       if (interval) {
         clearInterval(interval);
+        interval = null;
         if (finalText) {
           process.stdout.write(
             `\r${finalText}                              \n`,
@@ -72,6 +80,54 @@ function formatAgentResponse(content) {
     .join("\n");
 }
 
+function printUndoneStep(undone) {
+  console.log(chalk.white(`  Step ${undone.step} (${undone.tool}):`));
+  undone.restored.forEach((file) => console.log(chalk.gray(`    ↺ ${file}`)));
+}
+
+/**
+ * Show what an isolated task committed and ask what to do with its branch.
+ */
+async function finishIsolatedTask(isolation, ask) {
+  let summary;
+  try {
+    summary = await isolation.summarize();
+  } catch (error) {
+    console.log(chalk.red(`\n❌ Could not summarize the isolated task: ${error.message}`));
+    return;
+  }
+  if (!summary) return;
+
+  sectionHeader("🌿 Git isolation summary");
+  kvPair("Branch", summary.branch);
+  kvPair("Based on", summary.baseBranch);
+  if (summary.commits.length === 0) {
+    console.log(chalk.gray("\n  No file changes were made."));
+  } else {
+    console.log(chalk.white(`\n  ${summary.commits.length} commit(s):`));
+    summary.commits.forEach((commit) =>
+      console.log(chalk.gray(`    ${commit.hash} ${commit.label} (${commit.files} file(s))`)),
+    );
+    console.log(chalk.gray(`\n${summary.stat.replace(/^/gm, "  ")}`));
+  }
+
+  let action = "discard";
+  if (summary.commits.length > 0) {
+    const choices = { s: "squash", m: "merge", k: "keep", d: "discard" };
+    const answer = await ask(
+      chalk.bold(`\n✋ [s]quash into ${summary.baseBranch}, [m]erge, [k]eep branch, or [d]iscard? (k): `),
+    );
+    action = choices[answer.trim().toLowerCase()[0]] || "keep";
+  }
+
+  try {
+    console.log(chalk.green(`\n✅ ${await isolation.finishTask(action)}`));
+  } catch (error) {
+    console.log(chalk.red(`\n❌ Could not ${action}: ${error.message}`));
+    console.log(chalk.gray(`   The work is still on branch ${summary.branch}.`));
+  }
+}
+
 /**
  * Handle errors with helpful messages.
  */
@@ -134,6 +190,33 @@ async function agentAction(options) {
   const verbose = options.verbose || false;
   const mode = options.simple ? "chat" : "agent";
 
+  configureWorkspace({
+    root: options.workspace,
+    allowedDirs: options.allowDir,
+  });
+
+  if (options.planReview) {
+    if (!PLAN_REVIEW_MODES.includes(options.planReview)) {
+      console.error(chalk.red(`\n❌ Unknown --plan-review mode "${options.planReview}". Use ${PLAN_REVIEW_MODES.join(", ")}\n`));
+      return;
+    }
+    config.planReview = options.planReview;
+  }
+
+  let isolation = null;
+  if (options.gitIsolate) {
+    try {
+      isolation = new GitIsolation(options.gitIsolate === true ? "worktree" : options.gitIsolate);
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}\n`));
+      return;
+    }
+    setStepCompleteHandler(async (step, result) => {
+      const hash = await isolation.commitStep(step, result);
+      if (hash) console.log(chalk.gray(`   📝 Committed step as ${hash}`));
+    });
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // HANDLE LIST SESSIONS
   // ─────────────────────────────────────────────────────────────────────────
@@ -166,6 +249,30 @@ async function agentAction(options) {
     return;
   }
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // HANDLE REVERT SESSION
+  // ─────────────────────────────────────────────────────────────────────────
+  if (options.revert) {
+    if (!isValidSessionId(options.revert)) {
+      console.error(chalk.red(`\n❌ --revert takes a session id (see --list), got "${options.revert}"\n`));
+      return;
+    }
+    if (options.toStep !== undefined && !/^\d+$/.test(options.toStep)) {
+      console.error(chalk.red(`\n❌ --to-step must be a checkpoint step number (0 or more), got "${options.toStep}"\n`));
+      return;
+    }
+    const toStep = parseInt(options.toStep || "0", 10);
+    const undone = AgentSession.revert(options.revert, toStep);
+    if (undone.length === 0) {
+      console.log(chalk.yellow(`\nNothing to revert in ${options.revert} after step ${toStep}.\n`));
+    } else {
+      sectionHeader(`⏪ Reverted ${options.revert} to step ${toStep}`);
+      undone.forEach(printUndoneStep);
+      console.log();
+    }
+    return;
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // START INTERACTIVE AGENT
   // ─────────────────────────────────────────────────────────────────────────
@@ -190,12 +297,16 @@ async function agentAction(options) {
   console.log();
   console.log(chalk.yellow("⚠ Dangerous tools (need approval):"));
   console.log(chalk.gray(`  ${dangerousToolNames.join(", ")}`));
+  console.log(
+    chalk.gray(`  Approval rules: ${getUserPolicyFile()}, ${getProjectPolicyFile()}`),
+  );
   console.log();
   console.log(chalk.gray("Commands:"));
   console.log(chalk.gray("  • 'exit'   - Quit the agent"));
   console.log(chalk.gray("  • 'clear'  - Reset session"));
   console.log(chalk.gray("  • 'help'   - Show help"));
   console.log(chalk.gray("  • 'status' - Show session info"));
+  console.log(chalk.gray("  • 'undo'   - Undo the last file change"));
   console.log();
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -219,7 +330,15 @@ async function agentAction(options) {
   kvPair("Session", sessionInfo.sessionId);
   kvPair("Mode", sessionInfo.mode);
   kvPair("Storage", sessionInfo.sessionsDir);
+  kvPair("Workspace", config.workspace.root);
+  if (mode === "agent") {
+    kvPair("Plan review", config.planReview);
+  }
+  if (isolation) {
+    kvPair("Git isolation", `${isolation.mode} (one branch per task)`);
+  }
   if (verbose) {
+    config.workspace.allowedDirs.forEach((dir) => kvPair("Allowed dir", dir));
     kvPair("Max iterations", config.maxIterations.toString());
   }
   console.log();
@@ -234,17 +353,33 @@ async function agentAction(options) {
 
   let isProcessing = false;
   let shouldCancel = false;
+  let activeSpinner = null;
 
-  // Handle Ctrl+C gracefully
-  process.on("SIGINT", () => {
+  // Stream shell_command output live while the agent works
+  setShellOutputHandler((chunk) => {
+    activeSpinner?.stop();
+    process.stdout.write(chalk.gray(chunk));
+  });
+
+  // Handle Ctrl+C gracefully: first stop any running command, then quit
+  const handleInterrupt = () => {
     if (isProcessing) {
       shouldCancel = true;
-      console.log(chalk.yellow("\n\n⚠️ Cancelling current request..."));
+      const killed = cancelRunningCommands();
+      console.log(
+        chalk.yellow(
+          killed > 0
+            ? "\n\n⚠️ Killed the running command."
+            : "\n\n⚠️ Cancelling current request...",
+        ),
+      );
     } else {
       console.log(chalk.cyan("\n\n👋 Goodbye! Session saved.\n"));
       process.exit(0);
     }
-  });
+  };
+  process.on("SIGINT", handleInterrupt);
+  rl.on("SIGINT", handleInterrupt);
 
   rl.on("close", () => {
     console.log(chalk.cyan("\n\n👋 Goodbye! Session saved.\n"));
@@ -294,6 +429,8 @@ async function agentAction(options) {
         console.log(chalk.gray("   • exit     - End the session"));
         console.log(chalk.gray("   • clear    - Reset and start new session"));
         console.log(chalk.gray("   • status   - Show session info"));
+        console.log(chalk.gray("   • undo     - Undo the last file change made by a tool"));
+        console.log(chalk.gray("   • checkpoints - List file changes that can be undone"));
         console.log(chalk.gray("   • help     - Show this help"));
         console.log();
         console.log(chalk.cyan("🔧 Available Tools:"));
@@ -316,12 +453,49 @@ async function agentAction(options) {
         kvPair("  Session ID", info.sessionId, 0);
         kvPair("  Mode", info.mode, 0);
         kvPair("  Storage", info.sessionsDir, 0);
+        kvPair("  Workspace", config.workspace.root, 0);
         kvPair("  Model", config.model, 0);
         kvPair("  Max iterations", config.maxIterations.toString(), 0);
         askQuestion();
         return;
       }
 
+      if (trimmed.toLowerCase() === "undo") {
+        try {
+          const undone = session.undo();
+          if (undone) {
+            console.log(chalk.cyan("\n⏪ Undone:"));
+            printUndoneStep(undone);
+          } else {
+            console.log(chalk.yellow("\nNothing to undo."));
+          }
+        } catch (error) {
+          console.log(chalk.red(`\n❌ Undo failed: ${error.message}`));
+        }
+        askQuestion();
+        return;
+      }
+
+      if (trimmed.toLowerCase() === "checkpoints") {
+        const steps = session.listCheckpoints();
+        if (steps.length === 0) {
+          console.log(chalk.yellow("\nNo file changes recorded in this session."));
+        } else {
+          console.log(chalk.cyan("\n📸 Checkpoints:"));
+          steps.forEach((step) => {
+            const partial = step.partial ? chalk.yellow(" (partial snapshot)") : "";
+            console.log(
+              chalk.gray(`   ${step.step}. `) +
+                chalk.white(`${step.tool} `) +
+                chalk.gray(`${step.summary.slice(0, 60)} - ${step.files.length} file(s)`) +
+                partial,
+            );
+          });
+        }
+        askQuestion();
+        return;
+      }
+
       if (!trimmed) {
         askQuestion();
         return;
@@ -333,8 +507,24 @@ async function agentAction(options) {
       isProcessing = true;
       shouldCancel = false;
 
+      if (isolation) {
+        try {
+          const task = await isolation.startTask(trimmed);
+          console.log(chalk.gray(`\n🌿 Working on branch ${task.branch}${isolation.mode === "worktree" ? ` in ${task.workDir}` : ""}`));
+          if (task.linkedDependencies.length > 0) {
+            console.log(chalk.gray(`   Using your ${task.linkedDependencies.join(", ")} (linked, not committed)`));
+          }
+        } catch (error) {
+          console.log(chalk.red(`\n❌ Could not start an isolated task: ${error.message}`));
+          isProcessing = false;
+          askQuestion();
+          return;
+        }
+      }
+
       const spinner = createSpinner("Thinking...");
       spinner.start();
+      activeSpinner = spinner;
 
       try {
         // Invoke the agent
@@ -372,6 +562,12 @@ async function agentAction(options) {
               chalk.gray(`   📋 Plan: ${result.plan.steps?.length || 0} steps`),
             );
           }
+          if (result.planVersions?.length > 1) {
+            for (const version of result.planVersions) {
+              const why = version.reason ? ` - ${version.source === "user" ? "your feedback" : "replanned"}: ${version.reason.split("\n")[0]}` : "";
+              console.log(chalk.gray(`      v${version.version}: ${version.steps.length} steps${why}`));
+            }
+          }
           console.log(chalk.gray(`   ⏱️  Duration: ${duration}s`));
         }
 
@@ -384,6 +580,11 @@ async function agentAction(options) {
       }
 
       isProcessing = false;
+      activeSpinner = null;
+
+      if (isolation) {
+        await finishIsolatedTask(isolation, (question) => new Promise((resolve) => rl.question(question, resolve)));
+      }
       askQuestion();
     });
   };
@@ -404,8 +605,25 @@ export const agent = new Command("agent")
   .option("-s, --session <id>", "Resume a specific session")
   .option("-l, --list", "List all saved sessions")
   .option("-d, --delete <id>", "Delete a saved session")
+  .option("--revert <id>", "Undo the file changes a session's tools made")
+  .option("--to-step <n>", "With --revert, keep changes up to checkpoint step N")
   .option("-v, --verbose", "Show detailed execution logs")
   .option("--simple", "Use simple chat mode instead of full agent")
+  .option("-w, --workspace <dir>", "Restrict file tools to this directory (default: cwd)")
+  .option(
+    "--plan-review <mode>",
+    "Review plans before they run: auto (non-trivial plans), always or never",
+  )
+  .option(
+    "--git-isolate [mode]",
+    "Run each task on its own git branch and commit after every step (mode: worktree or branch)",
+  )
+  .option(
+    "--allow-dir <dir>",
+    "Also allow file tools to access this directory (repeatable)",
+    (dir, dirs) => [...dirs, dir],
+    [],
+  )
   .action(agentAction);
 
 // ============================================================================
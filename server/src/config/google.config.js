@@ -28,6 +28,17 @@ function getConfigValue(key, defaultValue = "") {
   return userConfig[key] || process.env[key] || defaultValue;
 }
 
+function getListValue(key, defaultValue = "") {
+  return getConfigValue(key, defaultValue)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function resolveUserPath(value) {
+  return path.resolve(value.replace(/^~(?=$|[\\/])/, os.homedir()));
+}
+
 export const config = {
 
   openRouterApiKey: getConfigValue("OPENROUTER_API_KEY"),
@@ -46,15 +57,84 @@ export const config = {
 
   maxRetries: 3,
 
+  // Put the planner and reflector in the provider's JSON mode; their replies are then checked
+  // against the schemas in schemas.js. Turn off for models that reject response_format
+  structuredOutput: getConfigValue("APEX_STRUCTURED_OUTPUT", "true") === "true",
+
+  // Model calls (tool rounds) the executor gets for a single plan step
+  maxStepIterations: parseInt(getConfigValue("APEX_MAX_STEP_ITERATIONS", "8")),
+
+  // How many times the reflector may send a failing plan back to the planner
+  maxReplans: parseInt(getConfigValue("APEX_MAX_REPLANS", "2")),
+
+  // Show plans to the user before they run: "auto" (non-trivial plans), "always" or "never"
+  planReview: getConfigValue("APEX_PLAN_REVIEW", "auto"),
+
+  // How many independent plan steps (see depends_on) the executor runs at once
+  maxParallelSteps: parseInt(getConfigValue("APEX_MAX_PARALLEL_STEPS", "4")),
+
   dangerousTools: [
     "shell_command",
     "write_file",
+    "edit_file",
     "delete_file",
     "http_request",
+    "execute_code",
+    "run_tests",
+    // ESLint loads the project's eslint.config.js, which is code the agent may have written
+    "check_code",
+    "git_commit",
+    "git_checkout_branch",
+    "git_stash",
   ],
 
   sessionsDir: path.join(os.homedir(), ".apex-cli", "sessions"),
 
+  // Sandbox for file tools: every path must resolve inside root or an allowed dir
+  workspace: {
+    // Defaults to the directory `apex agent` was started from
+    root: resolveUserPath(getConfigValue("APEX_WORKSPACE_ROOT", process.cwd())),
+
+    // Extra directories the tools may touch (comma separated)
+    allowedDirs: getListValue("APEX_WORKSPACE_ALLOW").map(resolveUserPath),
+  },
+
+  // shell_command limits (the model can pick a timeout per call up to the max)
+  shell: {
+    defaultTimeoutSeconds: parseInt(getConfigValue("APEX_SHELL_TIMEOUT", "60")),
+    maxTimeoutSeconds: parseInt(getConfigValue("APEX_SHELL_MAX_TIMEOUT", "1800")),
+  },
+
+  // execute_code limits: wall clock for the whole run, CPU time and memory for the snippet
+  codeExecution: {
+    timeoutSeconds: parseInt(getConfigValue("APEX_CODE_TIMEOUT", "30")),
+    cpuSeconds: parseInt(getConfigValue("APEX_CODE_CPU_SECONDS", "10")),
+    memoryMb: parseInt(getConfigValue("APEX_CODE_MEMORY_MB", "512")),
+  },
+
+  // run_tests wall clock (capped by shell.maxTimeoutSeconds)
+  tests: {
+    defaultTimeoutSeconds: parseInt(getConfigValue("APEX_TEST_TIMEOUT", "300")),
+  },
+
+  // http_request limits. Hosts are comma separated and may use "*.example.com";
+  // "*" in the allowlist allows every host that isn't denied
+  http: {
+    allowHosts: getListValue("APEX_HTTP_ALLOW_HOSTS", "localhost,127.0.0.1,::1"),
+    denyHosts: getListValue("APEX_HTTP_DENY_HOSTS"),
+    defaultTimeoutSeconds: parseInt(getConfigValue("APEX_HTTP_TIMEOUT", "30")),
+    maxBodyChars: parseInt(getConfigValue("APEX_HTTP_MAX_BODY", "10000")),
+    // web_fetch only reads public hosts; "true" lets it reach localhost and the LAN (local test servers)
+    webFetchAllowPrivate: getConfigValue("APEX_WEB_FETCH_ALLOW_PRIVATE", "false") === "true",
+  },
+
+  // web_search backend: "duckduckgo" (instant answers) or "searxng" (any SearxNG-compatible JSON API)
+  search: {
+    provider: getConfigValue("APEX_SEARCH_PROVIDER", "duckduckgo"),
+    searxngUrl: getConfigValue("APEX_SEARXNG_URL", "http://localhost:8888"),
+    maxResults: parseInt(getConfigValue("APEX_SEARCH_MAX_RESULTS", "8")),
+  },
+
   configDir: CONFIG_DIR,
   configFile: CONFIG_FILE,
 
@@ -126,11 +206,15 @@ Return a JSON object with this structure:
   "goal": "Brief description of what user wants",
   "query_type": "simple" | "complex",
   "steps": [
-    { "id": 1, "description": "First step to take", "tools_needed": ["tool_name"] }
+    { "id": 1, "description": "First step to take", "tools_needed": ["tool_name"], "depends_on": [] }
   ],
   "estimated_complexity": "simple" | "medium" | "complex"
 }
 
+"depends_on" lists the ids of earlier steps whose results this step needs. Steps whose
+dependencies are done run at the same time, so give independent steps (reading several
+files, separate searches) an empty or shared depends_on instead of chaining them.
+
 ## Examples:
 
 ### User says: "hello" or "hi there" or "hey"
@@ -146,15 +230,27 @@ Return a JSON object with this structure:
   "goal": "Read and display package.json content",
   "query_type": "complex",
   "steps": [
-    { "id": 1, "description": "Read the package.json file", "tools_needed": ["read_file"] },
-    { "id": 2, "description": "Present the contents to the user", "tools_needed": [] }
+    { "id": 1, "description": "Read the package.json file", "tools_needed": ["read_file"], "depends_on": [] },
+    { "id": 2, "description": "Present the contents to the user", "tools_needed": [], "depends_on": [1] }
   ],
   "estimated_complexity": "simple"
 }
 
+### User says: "compare the server and client package.json files"
+{
+  "goal": "Compare the two package.json files",
+  "query_type": "complex",
+  "steps": [
+    { "id": 1, "description": "Read server/package.json", "tools_needed": ["read_file"], "depends_on": [] },
+    { "id": 2, "description": "Read client/package.json", "tools_needed": ["read_file"], "depends_on": [] },
+    { "id": 3, "description": "Compare dependencies and scripts and present the differences", "tools_needed": [], "depends_on": [1, 2] }
+  ],
+  "estimated_complexity": "medium"
+}
+
 ## Guidelines for COMPLEX tasks:
 - Break into small, specific, actionable steps
-- Order logically (dependencies first)
+- Order logically (dependencies first) and declare them in depends_on
 - Maximum 10 steps
 - For analysis: READ files, don't just LIST them
 - End with a step to present/explain findings
@@ -176,6 +272,8 @@ export const EXECUTOR_PROMPT = `You are a Task Executor. Your job is to complete
 
 ## Guidelines:
 - Use tools to actually DO the work, don't just describe it
+- Work in rounds: call tools, read their results, and keep going (read, search, edit, check) until the step is done
+- When the step is done, reply WITHOUT calling tools: summarize what you did and what you found. That reply ends the step
 - If a step fails, explain what went wrong
 - Be specific about what you created/modified
 - If you need information you don't have, say so
@@ -186,7 +284,7 @@ export const REFLECTOR_PROMPT = `You are a Task Reflector. Your job is to evalua
 
 ## Your Responsibilities:
 1. Assess if the current step was completed successfully
-2. Decide the next action: continue, retry, or finish
+2. Decide the next action: continue, retry, replan, or finish
 3. Explain your reasoning
 
 ## Output Format:
@@ -194,7 +292,7 @@ Return a JSON object with this structure:
 {
   "assessment": "Brief summary of what happened",
   "success": true | false,
-  "decision": "continue" | "retry" | "finish" | "error",
+  "decision": "continue" | "retry" | "replan" | "finish" | "error",
   "reasoning": "Why you made this decision",
   "modification": null | "Optional: how to modify the next attempt"
 }
@@ -202,13 +300,15 @@ Return a JSON object with this structure:
 ## Decision Guidelines:
 - "continue": Step succeeded, move to next step
 - "retry": Step failed but is recoverable, try again (max 3 retries)
+- "replan": The plan itself is wrong - a step is impossible, rests on a wrong assumption (a file or command that doesn't exist), or the remaining steps won't reach the goal. Retrying won't help. Finished steps are kept and the planner rewrites the rest; say in "reasoning" what went wrong and what the new plan must do differently
 - "finish": All steps complete OR task achieved early
 - "error": Unrecoverable error, stop and report to user
 
 ## Consider:
 - Did the tool calls succeed?
 - Does the result match what the step intended?
-- Are there remaining steps?
+- If run_tests or check_code ran, did they report zero failures/errors? A step that leaves failing tests or new errors has not succeeded
+- Are there remaining steps, and do they still make sense given what this step found?
 - Has the overall goal been achieved?
 
 Now evaluate the latest execution:`;
@@ -0,0 +1,206 @@
+// Approval Helpers - What the user sees (and can change) before a dangerous tool runs
+// Used by humanApprovalNode in nodes.js
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import chalk from "chalk";
+
+import { resolveWorkspacePath } from "./tools/workspace.js";
+import { formatUnifiedDiff, formatNewFile } from "./tools/diff.js";
+import { applyEdits, wholeFileEdit } from "./tools/edits.js";
+import { formatNumberedLines } from "./tools/files.js";
+import { checkSyntax, formatSyntaxError } from "./tools/syntax.js";
+import { parseCommand } from "./policy.js";
+
+/**
+ * Work out the file a pending tool call would change and its proposed content
+ * @param {Object} pendingTool - { name, args }
+ * @returns {Object|null} { filePath, resolvedPath, exists, oldContent, newContent } or null
+ */
+export function getProposedFileChange(pendingTool) {
+  if (!["write_file", "edit_file"].includes(pendingTool.name)) return null;
+
+  const { filePath } = pendingTool.args;
+  const resolvedPath = resolveWorkspacePath(filePath);
+  const exists = fs.existsSync(resolvedPath);
+  const oldContent = exists ? fs.readFileSync(resolvedPath, "utf-8") : "";
+
+  const newContent = pendingTool.name === "edit_file"
+    ? applyEdits(oldContent, pendingTool.args.edits)
+    : pendingTool.args.content;
+
+  return { filePath, resolvedPath, exists, oldContent, newContent };
+}
+
+/**
+ * Swap the proposed content of a file-changing tool call for the user's version
+ * @param {Object} pendingTool - write_file or edit_file call
+ * @param {Object} change - Result of getProposedFileChange
+ * @param {string} content - Content the user saved in their editor
+ * @returns {Object} Updated tool call, flagged as edited by the user (what they saved is written as-is, even if it doesn't parse)
+ */
+export function withUserContent(pendingTool, change, content) {
+  const args = pendingTool.name === "edit_file"
+    ? { ...pendingTool.args, edits: [wholeFileEdit(change.oldContent, content)] }
+    : { ...pendingTool.args, content, force: true };
+
+  return { ...pendingTool, args, editedByUser: true };
+}
+
+/**
+ * Print the approval preview for a pending tool call: a diff for file
+ * changes, the raw (truncated) arguments for everything else.
+ * @param {Object} pendingTool - { name, args }
+ * @returns {Object|null} The proposed file change, if any
+ */
+export function printToolPreview(pendingTool) {
+  let change = null;
+  try {
+    change = getProposedFileChange(pendingTool);
+  } catch (error) {
+    console.log(chalk.red(`   ⚠️ Could not build preview: ${error.message}`));
+  }
+
+  if (!change) {
+    if (pendingTool.name === "execute_code") {
+      printCode(pendingTool.args);
+    } else {
+      printArguments(pendingTool.args);
+    }
+    return null;
+  }
+
+  console.log(chalk.white(`📌 File: ${chalk.cyan(change.filePath)}`));
+  console.log();
+  console.log(
+    change.exists
+      ? formatUnifiedDiff(change.filePath, change.oldContent, change.newContent)
+      : formatNewFile(change.filePath, change.newContent),
+  );
+
+  // write_file refuses content that doesn't parse; say so before the user approves it
+  const syntaxError = pendingTool.name === "write_file" && !pendingTool.args.force
+    ? checkSyntax(change.filePath, change.newContent)
+    : null;
+  if (syntaxError) {
+    console.log(chalk.yellow(`\n   ⚠️ ${formatSyntaxError(change.filePath, change.newContent, syntaxError).split("\n").join("\n      ")}`));
+    console.log(chalk.yellow("   The write will be rejected unless you edit the content."));
+  }
+  return change;
+}
+
+/**
+ * Open proposed content in $VISUAL / $EDITOR and return the saved result
+ * @param {string} content - Content to seed the editor with
+ * @param {string} filePath - Original file name (only its extension is kept, for syntax highlighting)
+ * @returns {string|null} Edited content, or null if the editor failed
+ */
+export function editInEditor(content, filePath) {
+  const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === "win32" ? "notepad" : "vi");
+  // Editors configured with flags ("code --wait") are split into words, not run through a shell
+  const [command, ...editorArgs] = parseCommand(editor).segments[0] || ["vi"];
+  const extension = path.extname(filePath).replace(/[^A-Za-z0-9.]/g, "").slice(0, 16);
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "apex-edit-"));
+  const tempFile = path.join(tempDir, `proposed${extension}`);
+
+  try {
+    fs.writeFileSync(tempFile, content, "utf-8");
+
+    const result = spawnSync(command, [...editorArgs, tempFile], { stdio: "inherit" });
+    if (result.error || result.status !== 0) {
+      console.log(chalk.red(`   ❌ Editor exited with an error (${editor})`));
+      return null;
+    }
+
+    return fs.readFileSync(tempFile, "utf-8");
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Build the approval menu for a pending tool call
+ * @param {Object} pendingTool - { name, args, policy } (policy.always hides the session option)
+ * @param {Object|null} change - Result of getProposedFileChange (enables "edit")
+ * @param {Object|null} projectRule - Result of suggestProjectRule (enables "always allow")
+ * @returns {Object[]} [{ key, value, label }]
+ */
+export function getApprovalChoices(pendingTool, change, projectRule) {
+  const choices = [{ value: "once", label: "Approve once" }];
+  if (!pendingTool.policy?.always) {
+    choices.push({ value: "session", label: `Approve ${pendingTool.name} for the rest of this session` });
+  }
+  if (projectRule) {
+    choices.push({ value: "project", label: `Always allow ${projectRule.label} in this project` });
+  }
+  choices.push(
+    { value: "feedback", label: "Reject and tell the agent what to do instead" },
+    { value: "reject", label: "Reject" },
+  );
+
+  const numbered = choices.map((choice, idx) => ({ ...choice, key: String(idx + 1) }));
+  if (change) {
+    numbered.push({ key: "e", value: "edit", label: "Edit the content before deciding" });
+  }
+  return numbered;
+}
+
+/**
+ * Print the approval menu
+ * @param {Object[]} choices - Result of getApprovalChoices
+ */
+export function printApprovalChoices(choices) {
+  console.log();
+  for (const { key, label } of choices) {
+    console.log(`  ${chalk.cyan(`${key})`)} ${label}`);
+  }
+}
+
+/**
+ * Map what the user typed to a menu choice. Plain yes/no still work.
+ * @param {string} answer - Raw input
+ * @param {Object[]} choices - Result of getApprovalChoices
+ * @returns {string|null} Choice value, or null when the answer isn't recognised
+ */
+export function parseApprovalAnswer(answer, choices) {
+  const text = answer.toLowerCase().trim();
+
+  const byKey = choices.find(({ key }) => key === text);
+  if (byKey) return byKey.value;
+
+  if (["yes", "y", "yeah", "yep", "sure", "ok", "okay"].includes(text)) return "once";
+  if (["no", "n", "nope"].includes(text)) return "reject";
+  if (text === "edit" && choices.some(({ value }) => value === "edit")) return "edit";
+  return null;
+}
+
+function printCode({ code = "", language }) {
+  const lines = code.split("\n");
+  console.log(chalk.white(`📌 Language: ${chalk.cyan(language)}`));
+  console.log();
+  console.log(chalk.gray(formatNumberedLines(lines, 1)));
+}
+
+function printArguments(args) {
+  console.log(chalk.white("📌 Arguments:"));
+  Object.entries(args).forEach(([key, value]) => {
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    const displayValue = text.slice(0, 100);
+    const truncated = text.length > 100 ? "..." : "";
+    console.log(chalk.gray(`   • ${key}: ${displayValue}${truncated}`));
+  });
+}
+
+/**
+ * Tell the model when the user changed the arguments before approving,
+ * so it doesn't assume its own proposal is what landed on disk
+ * @param {Object} pendingTool - The approved tool call
+ * @param {string} result - Raw tool output
+ * @returns {string} Tool output for the ToolMessage
+ */
+export function describeToolResult(pendingTool, result) {
+  if (!pendingTool.editedByUser) return result;
+  return `${result}\n\nNote: the user edited the content before approving. Re-read the file if you need its exact contents.`;
+}
@@ -0,0 +1,343 @@
+// Checkpoint Store - Snapshot files before mutating tools run so they can be undone
+// Layout: ~/.apex-cli/sessions/<id>/checkpoints/{steps.json, blobs/<git blob id>}
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { execFileSync } from "child_process";
+import chalk from "chalk";
+
+import { config } from "../../config/google.config.js";
+import { isReadOnlyToolCall } from "./policy.js";
+import { getAllowedRoots, resolveWorkspacePath } from "./tools/workspace.js";
+import { walkFiles } from "./tools/walk.js";
+import { runGit } from "./tools/git.js";
+
+// Tools that change files, and how to find the files they touch
+const FILE_TOOLS = ["write_file", "edit_file", "delete_file"];
+const WORKSPACE_TOOLS = ["shell_command", "git_checkout_branch", "git_stash"];
+
+const SCAN_SKIP_DIRS = new Set(["node_modules", ".git", "dist", "build", "coverage", ".next"]);
+const SCAN_MAX_FILES = 5000;
+const SCAN_MAX_FILE_SIZE = 1024 * 1024;
+
+export class CheckpointStore {
+
+  constructor(sessionId, options = {}) {
+    if (!isValidSessionId(sessionId)) {
+      throw new Error(`Invalid session id "${sessionId}"`);
+    }
+    this.sessionId = sessionId;
+    this.dir = path.join(options.sessionsDir || config.sessionsDir, sessionId, "checkpoints");
+    this.blobsDir = path.join(this.dir, "blobs");
+    this.indexFile = path.join(this.dir, "steps.json");
+    // path -> { mtimeMs, size, hash, stored, repo }, so scans only re-read files that changed
+    this.scanCache = new Map();
+  }
+
+  /**
+   * Check whether a tool call can change files and should be snapshotted
+   * @param {string} toolName - Tool name
+   * @returns {boolean} True for mutating tools
+   */
+  static isMutatingTool(toolName) {
+    return FILE_TOOLS.includes(toolName) || WORKSPACE_TOOLS.includes(toolName);
+  }
+
+  /**
+   * Run a mutating tool call, recording the files it changed as a new step
+   * @param {string} toolName - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {Function} run - Async function that performs the tool call
+   * @returns {Promise<*>} Whatever `run` returns
+   */
+  async track(toolName, args, run) {
+    if (!CheckpointStore.isMutatingTool(toolName) || isReadOnlyToolCall(toolName, args)) {
+      return run();
+    }
+
+    let before = null;
+    try {
+      before = await this.snapshot(toolName, args);
+    } catch (error) {
+      console.log(chalk.yellow(`   ⚠️ Could not snapshot files for undo: ${error.message}`));
+    }
+
+    const result = await run();
+
+    if (before) {
+      try {
+        await this.recordStep(toolName, args, before);
+      } catch (error) {
+        console.log(chalk.yellow(`   ⚠️ Could not save checkpoint: ${error.message}`));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * List recorded steps, oldest first
+   * @returns {Object[]} Step records ({ step, tool, summary, createdAt, files })
+   */
+  listSteps() {
+    return this.loadIndex().steps;
+  }
+
+  /**
+   * Undo the most recent step
+   * @returns {Object|null} { step, restored: string[] } or null if nothing to undo
+   */
+  undoLast() {
+    const { steps } = this.loadIndex();
+    if (steps.length === 0) return null;
+
+    const last = steps[steps.length - 1];
+    const [result] = this.revertTo(last.step - 1);
+    return result;
+  }
+
+  /**
+   * Restore files to how they were right after step N (0 = before any step)
+   * Later steps are undone newest-first and removed from the index.
+   * @param {number} toStep - Step number to keep
+   * @returns {Object[]} One { step, tool, restored } entry per undone step
+   */
+  revertTo(toStep = 0) {
+    const index = this.loadIndex();
+    const undone = [];
+
+    while (index.steps.length > 0 && index.steps[index.steps.length - 1].step > toStep) {
+      const step = index.steps.pop();
+      undone.push({ step: step.step, tool: step.tool, restored: this.restoreStep(step) });
+      this.saveIndex(index);
+    }
+
+    return undone;
+  }
+
+  async snapshot(toolName, args) {
+    if (FILE_TOOLS.includes(toolName)) {
+      const filePath = resolveWorkspacePath(args.filePath);
+      return { files: { [filePath]: this.storeFile(filePath) }, partial: false };
+    }
+
+    return this.scanWorkspace();
+  }
+
+  async recordStep(toolName, args, before) {
+    // Compare before and after to keep only the files the tool actually touched
+    const after = FILE_TOOLS.includes(toolName)
+      ? { files: Object.fromEntries(Object.keys(before.files).map((filePath) => [filePath, hashFile(filePath)])) }
+      : await this.scanWorkspace({ store: false });
+
+    const paths = new Set([...Object.keys(before.files), ...Object.keys(after.files)]);
+    const files = [...paths]
+      .filter((filePath) => (before.files[filePath] ?? null) !== (after.files[filePath] ?? null))
+      .map((filePath) => ({ path: filePath, blob: before.files[filePath] ?? null, repo: before.repos?.[filePath] }));
+
+    if (files.length === 0) return;
+
+    const index = this.loadIndex();
+    const step = index.nextStep++;
+    index.steps.push({
+      step,
+      tool: toolName,
+      summary: summarizeArgs(toolName, args),
+      createdAt: new Date().toISOString(),
+      partial: before.partial,
+      files,
+    });
+    this.saveIndex(index);
+  }
+
+  restoreStep(step) {
+    const restored = [];
+
+    for (const file of step.files) {
+      const blobPath = file.blob && path.join(this.blobsDir, file.blob);
+      if (file.blob && file.repo && !fs.existsSync(blobPath)) {
+        fs.mkdirSync(path.dirname(file.path), { recursive: true });
+        fs.writeFileSync(file.path, execFileSync("git", ["cat-file", "blob", file.blob], {
+          cwd: file.repo,
+          maxBuffer: SCAN_MAX_FILE_SIZE * 2,
+          stdio: ["ignore", "pipe", "ignore"],
+        }));
+      } else if (file.blob) {
+        fs.mkdirSync(path.dirname(file.path), { recursive: true });
+        fs.copyFileSync(blobPath, file.path);
+      } else if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+      restored.push(file.path);
+    }
+
+    return restored;
+  }
+
+  // Store a file's current content as a blob; null means "did not exist"
+  storeFile(filePath) {
+    const hash = hashFile(filePath);
+    if (!hash) return null;
+
+    const blobPath = path.join(this.blobsDir, hash);
+    if (!fs.existsSync(blobPath)) {
+      fs.mkdirSync(this.blobsDir, { recursive: true });
+      fs.copyFileSync(filePath, blobPath);
+    }
+    return hash;
+  }
+
+  // Hash every (reasonably sized) file in the workspace and the allowed directories,
+  // skipping what .gitignore/.apexignore leave out. Async so streaming output keeps
+  // flowing; files whose size and mtime haven't changed since the last scan aren't
+  // read again. With `store`, content git already has (as listed in the index) is
+  // restored from git on undo, so only untracked and modified files get a blob.
+  async scanWorkspace({ store = true } = {}) {
+    const files = {};
+    const repos = {};
+    let partial = false;
+    let count = 0;
+
+    for (const root of getAllowedRoots()) {
+      const indexed = store ? await indexedObjects(root) : null;
+
+      for (const { fullPath } of walkFiles(root, { skipDirs: SCAN_SKIP_DIRS })) {
+        if (fullPath in files) continue;
+
+        let stat;
+        try {
+          stat = await fs.promises.stat(fullPath);
+        } catch (error) {
+          continue;
+        }
+        if (++count > SCAN_MAX_FILES || stat.size > SCAN_MAX_FILE_SIZE) {
+          partial = true;
+          continue;
+        }
+
+        const entry = await this.fingerprint(fullPath, stat, indexed);
+        files[fullPath] = entry?.hash ?? null;
+        if (entry?.repo) repos[fullPath] = entry.repo;
+      }
+    }
+    return { files, repos, partial };
+  }
+
+  // Cache entry of a scanned file, reused when its size and mtime match. Given the
+  // repository's `indexed` objects, also makes sure the content can be restored.
+  async fingerprint(filePath, stat, indexed) {
+    const cached = this.scanCache.get(filePath);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size && (cached.stored || !indexed)) {
+      return cached;
+    }
+
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath);
+    } catch (error) {
+      return null;
+    }
+
+    const entry = { mtimeMs: stat.mtimeMs, size: stat.size, hash: gitBlobId(content), stored: false, repo: null };
+    if (cached?.stored && cached.hash === entry.hash) {
+      entry.stored = true;
+      entry.repo = cached.repo;
+    } else if (indexed?.repo && indexed.ids.has(entry.hash)) {
+      entry.stored = true;
+      entry.repo = indexed.repo;
+    } else if (indexed) {
+      const blobPath = path.join(this.blobsDir, entry.hash);
+      if (!fs.existsSync(blobPath)) {
+        await fs.promises.mkdir(this.blobsDir, { recursive: true });
+        await fs.promises.writeFile(blobPath, content);
+      }
+      entry.stored = true;
+    }
+
+    this.scanCache.set(filePath, entry);
+    return entry;
+  }
+
+  loadIndex() {
+    try {
+      if (fs.existsSync(this.indexFile)) {
+        return JSON.parse(fs.readFileSync(this.indexFile, "utf-8"));
+      }
+    } catch (error) {
+      console.error(chalk.yellow(`Warning: Could not load checkpoints: ${error.message}`));
+    }
+    return { sessionId: this.sessionId, nextStep: 1, steps: [] };
+  }
+
+  saveIndex(index) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.indexFile, JSON.stringify(index, null, 2));
+  }
+}
+
+function hashFile(filePath) {
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) return null;
+  return gitBlobId(fs.readFileSync(filePath));
+}
+
+// Same id git gives the content, so it can be looked up in the repository
+function gitBlobId(content) {
+  return crypto.createHash("sha1").update(`blob ${content.length}\0`).update(content).digest("hex");
+}
+
+// Object ids of the files in the git index of the repository containing `dir`
+async function indexedObjects(dir) {
+  try {
+    const repo = (await runGit(["rev-parse", "--show-toplevel"], dir)).trim();
+    const output = await runGit(["ls-files", "--stage", "-z"], repo);
+    const ids = new Set(output.split("\0").filter(Boolean).map((line) => line.split(" ")[1]));
+    return { repo, ids };
+  } catch (error) {
+    return { repo: null, ids: new Set() };
+  }
+}
+
+function summarizeArgs(toolName, args) {
+  if (toolName === "shell_command") return args.command;
+  return args.filePath || "";
+}
+
+const stores = new Map();
+
+/**
+ * Check that a session id is a plain name, so it can't point outside the sessions directory
+ * @param {string} sessionId - Session identifier
+ * @returns {boolean} True when the id is safe to use as a directory name
+ */
+export function isValidSessionId(sessionId) {
+  return typeof sessionId === "string" && path.basename(sessionId) === sessionId && !["", ".", ".."].includes(sessionId);
+}
+
+/**
+ * Get the checkpoint store for a session (cached per process)
+ * @param {string} sessionId - Session identifier
+ * @returns {CheckpointStore|null} Store, or null when there is no session
+ */
+export function getCheckpointStore(sessionId) {
+  if (!sessionId) return null;
+  if (!stores.has(sessionId)) {
+    stores.set(sessionId, new CheckpointStore(sessionId));
+  }
+  return stores.get(sessionId);
+}
+
+/**
+ * Invoke a tool, snapshotting affected files first when it mutates them
+ * @param {Object} tool - LangChain tool
+ * @param {Object} args - Tool arguments
+ * @param {string|null} sessionId - Session to record the checkpoint under
+ * @returns {Promise<string>} Tool output
+ */
+export async function invokeWithCheckpoint(tool, args, sessionId) {
+  // Tools that keep per-session state (e.g. web_fetch's cache) read it from config.configurable
+  const runConfig = { configurable: { sessionId } };
+  const store = getCheckpointStore(sessionId);
+  if (!store) return tool.invoke(args, runConfig);
+  return store.track(tool.name, args, () => tool.invoke(args, runConfig));
+}
@@ -5,19 +5,33 @@ import chalk from "chalk";
 
 import { createExecutorLLM } from "./llm.js";
 import { EXECUTOR_PROMPT } from "../../config/google.config.js";
-import { allTools, safeTools, isDangerousTool, getToolByName, getToolDescriptions } from "./tools.js";
-import { getCurrentStep, getProgressString } from "./planner.js";
+import { allTools, safeTools, findToolCallNeedingApproval, getToolByName, getToolDescriptions } from "./tools.js";
+import { getCurrentStep, getReadySteps, getProgressString } from "./planner.js";
+import { describeToolResult } from "./approval.js";
+import { CheckpointStore, invokeWithCheckpoint } from "./checkpoints.js";
 import { config } from "../../config/google.config.js";
 
 const safeToolNode = new ToolNode(safeTools);
 
+// How much of a step's final answer is kept as its result, plus a digest of what
+// its tools returned (each result cut to TOOL_DIGEST_ITEM_LIMIT)
+const STEP_OUTPUT_LIMIT = 2000;
+const TOOL_DIGEST_LIMIT = 1500;
+const TOOL_DIGEST_ITEM_LIMIT = 300;
+
+// Mutating tool calls from parallel steps queue up here, so one call's checkpoint
+// snapshot never catches another call's changes halfway
+let mutatingToolQueue = Promise.resolve();
+
 export async function executorNode(state) {
   const progress = getProgressString(state);
-  console.log(chalk.cyan(`\n📍 [Executor] Step ${state.currentStep + 1} (${progress})`));
+  const readySteps = getReadySteps(state);
+  const stepIds = readySteps.map((step) => step.id).join(", ");
+  console.log(chalk.cyan(`\n📍 [Executor] Step ${stepIds || state.currentStep + 1} (${progress})`));
 
   try {
 
-    const currentStep = getCurrentStep(state);
+    const currentStep = readySteps[0];
 
     if (!currentStep) {
 
@@ -32,20 +46,19 @@ export async function executorNode(state) {
       };
     }
 
-    console.log(chalk.gray(`   Step: "${currentStep.description.slice(0, 60)}..."`));
-
-    const existingResult = state.stepResults[currentStep.id];
-    if (existingResult?.retries >= config.maxRetries) {
-      console.log(chalk.yellow(`   ⚠️ Max retries reached for this step`));
+    const exhausted = readySteps.find((step) => state.stepResults[step.id]?.retries >= config.maxRetries);
+    if (exhausted) {
+      const existingResult = state.stepResults[exhausted.id];
+      console.log(chalk.yellow(`   ⚠️ Max retries reached for step ${exhausted.id}`));
       return {
         stepResults: {
-          [currentStep.id]: {
+          [exhausted.id]: {
             ...existingResult,
             success: false,
             error: "Max retries reached",
           },
         },
-        error: `Step ${currentStep.id} failed after ${config.maxRetries} retries`,
+        error: `Step ${exhausted.id} failed after ${config.maxRetries} retries`,
       };
     }
 
@@ -82,6 +95,8 @@ Respond naturally and conversationally. Be friendly and helpful.
 
       return {
         messages: [response],
+        currentStep: state.plan.steps.indexOf(currentStep),
+        activeSteps: [currentStep.id],
         stepResults: {
           [currentStep.id]: {
             success: true,
@@ -93,23 +108,155 @@ Respond naturally and conversationally. Be friendly and helpful.
       };
     }
 
-    const previousResults = Object.entries(state.stepResults)
-      .map(([id, result]) => {
-        const status = result.success ? "✓ SUCCESS" : "✗ FAILED";
-        const output = result.output || result.error || "(no output)";
+    if (readySteps.length > 1) {
+      return await executeParallelSteps(state, readySteps);
+    }
 
-        return `Step ${id} ${status}:\n${output.slice(0, 1000)}`;
-      })
-      .join("\n\n");
+    console.log(chalk.gray(`   Step: "${currentStep.description.slice(0, 60)}..."`));
 
-    const isAnalysisStep = currentStep.tools_needed?.length === 0 ||
-      /analyze|summarize|present|explain|synthesize|review/i.test(currentStep.description);
+    const outcome = await executeStep(state, currentStep);
+    return {
+      messages: outcome.messages,
+      currentStep: state.plan.steps.indexOf(currentStep),
+      activeSteps: [currentStep.id],
+      ...stepOutcomeUpdate(currentStep, outcome),
+      iterations: state.iterations + 1,
+    };
 
-    let contextPrompt;
+  } catch (error) {
+    console.error(chalk.red(`   ❌ Executor error: ${error.message}`));
 
-    if (isAnalysisStep && previousResults) {
+    const currentStep = getReadySteps(state)[0] || getCurrentStep(state);
+    const existingResult = state.stepResults[currentStep?.id];
 
-      contextPrompt = `${EXECUTOR_PROMPT}
+    return {
+      stepResults: {
+        [currentStep?.id || 0]: {
+          success: false,
+          error: error.message,
+          retries: (existingResult?.retries || 0) + 1,
+        },
+      },
+      error: error.message,
+      iterations: state.iterations + 1,
+    };
+  }
+}
+
+/**
+ * Run independent steps at the same time, at most config.maxParallelSteps at once.
+ * Only one step can wait for approval per round; other steps that want a gated
+ * tool keep their transcripts (and the messages they haven't published yet) and
+ * carry on from there in a later round.
+ * @param {Object} state - Agent state
+ * @param {Object[]} steps - Ready steps
+ * @returns {Promise<Object>} State update
+ */
+async function executeParallelSteps(state, steps) {
+  const limit = Math.max(config.maxParallelSteps, 1);
+  const label = (step) => String(step.id);
+  const running = new Set();
+  const queue = [...steps];
+  const messages = [];
+  const stepResults = {};
+  const stepTranscripts = {};
+  let gated = null;
+
+  console.log(chalk.cyan(`   ⚡ ${steps.length} independent steps, running up to ${limit} at a time`));
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const step = queue.shift();
+      running.add(step);
+      console.log(chalk.gray(`   ▶ Step ${label(step)}: "${step.description.slice(0, 50)}" (running: ${[...running].map(label).join(", ")})`));
+
+      let outcome;
+      try {
+        outcome = await executeStep(state, step, { quiet: true });
+      } catch (error) {
+        outcome = {
+          messages: [],
+          result: { success: false, error: error.message, retries: (state.stepResults[step.id]?.retries || 0) + 1 },
+        };
+      }
+      running.delete(step);
+
+      const stillRunning = running.size > 0 ? `still running: ${[...running].map(label).join(", ")}` : "none running";
+      if (outcome.pendingToolCall) {
+        stepTranscripts[step.id] = outcome.transcript;
+        if (!gated) {
+          gated = { step, outcome };
+          console.log(chalk.yellow(`   ⏸ Step ${label(step)} needs approval for ${outcome.pendingToolCall.name} (${stillRunning})`));
+        } else {
+          // Its last AI message has a tool call nobody answered yet; it joins the conversation on resume
+          stepTranscripts[step.id] = { ...outcome.transcript, unpublished: outcome.messages };
+          console.log(chalk.yellow(`   ⏸ Step ${label(step)} also needs approval; it will carry on after this round (${stillRunning})`));
+        }
+        continue;
+      }
+
+      stepResults[step.id] = outcome.result;
+      stepTranscripts[step.id] = null;
+      messages.push(...outcome.messages);
+      const icon = outcome.result.success ? chalk.green("✅") : chalk.red("❌");
+      console.log(`   ${icon} ${chalk.gray(`Step ${label(step)} finished (${stillRunning})`)}`);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, steps.length) }, worker));
+
+  // The gated step's tool call goes last so its result follows it in the conversation
+  if (gated) messages.push(...gated.outcome.messages);
+
+  const activeSteps = steps
+    .filter((step) => stepResults[step.id] || gated?.step === step)
+    .map((step) => step.id);
+
+  return {
+    messages,
+    stepResults,
+    stepTranscripts,
+    currentStep: state.plan.steps.indexOf(steps[0]),
+    activeSteps,
+    ...(gated ? { pendingToolCall: gated.outcome.pendingToolCall } : {}),
+    iterations: state.iterations + 1,
+  };
+}
+
+/**
+ * Let the model work on one step: it calls tools, sees their results and carries on
+ * until it answers without tools or runs out of rounds (config.maxStepIterations), after
+ * which it gets one last call to sum up without tools.
+ * A step that pauses for approval keeps its transcript in state.stepTranscripts and
+ * picks up from there when it runs again.
+ * @param {Object} state - Agent state
+ * @param {Object} currentStep - Step to execute
+ * @param {Object} options - { quiet } to leave progress logging to the caller
+ * @returns {Promise<Object>} { messages, result } or { messages, pendingToolCall, transcript } when a tool needs approval
+ */
+async function executeStep(state, currentStep, { quiet = false } = {}) {
+  const log = quiet ? () => {} : (message) => console.log(message);
+  const existingResult = state.stepResults[currentStep.id];
+  const saved = state.stepTranscripts?.[currentStep.id];
+  const maxRounds = config.maxStepIterations;
+
+  const previousResults = Object.entries(state.stepResults)
+    .map(([id, result]) => {
+      const status = result.success ? "✓ SUCCESS" : "✗ FAILED";
+      const output = result.output || result.error || "(no output)";
+
+      return `Step ${id} ${status}:\n${output.slice(0, 1000)}`;
+    })
+    .join("\n\n");
+
+  const isAnalysisStep = currentStep.tools_needed?.length === 0 ||
+    /analyze|summarize|present|explain|synthesize|review/i.test(currentStep.description);
+
+  let contextPrompt;
+
+  if (isAnalysisStep && previousResults) {
+
+    contextPrompt = `${EXECUTOR_PROMPT}
 
 ## IMPORTANT: This is an ANALYSIS step
 You should analyze and synthesize the information from Previous Results below.
@@ -125,9 +272,9 @@ Step ${currentStep.id}: ${currentStep.description}
 ${previousResults}
 
 Based on the Previous Results above, provide a clear and helpful response.`;
-    } else {
+  } else {
 
-      contextPrompt = `${EXECUTOR_PROMPT}
+    contextPrompt = `${EXECUTOR_PROMPT}
 
 ## Available Tools:
 ${getToolDescriptions()}
@@ -141,87 +288,138 @@ Step ${currentStep.id}: ${currentStep.description}
 ## Previous Results:
 ${previousResults || "No previous steps"}
 
-Now complete this step using the appropriate tools.`;
-    }
+Now complete this step using the appropriate tools. You have up to ${maxRounds} rounds of tool calls for it.`;
+  }
 
-    const llm = isAnalysisStep ? createExecutorLLM([]) : createExecutorLLM(allTools);
-
-    const response = await llm.invoke([
-      new SystemMessage(contextPrompt),
-      new HumanMessage(`Execute step ${currentStep.id}: ${currentStep.description}`),
-    ]);
-
-    if (response.tool_calls && response.tool_calls.length > 0) {
-
-      for (const toolCall of response.tool_calls) {
-        if (isDangerousTool(toolCall.name)) {
-          console.log(chalk.yellow(`   ⚠️ Dangerous tool: ${toolCall.name}`));
-
-          return {
-            messages: [response],
-            pendingToolCall: {
-              id: toolCall.id,
-              name: toolCall.name,
-              args: toolCall.args,
-              stepId: currentStep.id,
-            },
-            iterations: state.iterations + 1,
-          };
-        }
+  const llm = isAnalysisStep ? createExecutorLLM([]) : createExecutorLLM(allTools);
+
+  const transcript = saved
+    ? [...saved.messages]
+    : [new SystemMessage(contextPrompt), new HumanMessage(`Execute step ${currentStep.id}: ${currentStep.description}`)];
+  const messages = [...(saved?.unpublished || [])];
+  let rounds = saved?.rounds || 0;
+
+  if (saved) log(chalk.gray(`   ↩ Resuming step ${currentStep.id} (round ${rounds}/${maxRounds})`));
+
+  while (true) {
+
+    // Tool calls from the last response that haven't run yet: all of a new response,
+    // or the rest of one that stopped for approval
+    const toolCalls = unansweredToolCalls(transcript);
+    if (toolCalls.length > 0) {
+      const gated = findToolCallNeedingApproval(toolCalls, state.sessionId);
+      const runnable = gated ? toolCalls.slice(0, toolCalls.indexOf(gated.toolCall)) : toolCalls;
+
+      if (runnable.length > 0) {
+        log(chalk.cyan(`   🔧 Executing: ${runnable.map(t => t.name).join(", ")}`));
+        const toolResults = await executeTools(runnable, state.sessionId);
+        transcript.push(...toolResults);
+        messages.push(...toolResults);
+      }
+
+      if (gated) {
+        const { toolCall, decision } = gated;
+        log(chalk.yellow(`   ⚠️ ${decision.action === "deny" ? "Blocked" : "Dangerous"} tool: ${toolCall.name}`));
+
+        return {
+          messages,
+          pendingToolCall: {
+            id: toolCall.id,
+            name: toolCall.name,
+            args: toolCall.args,
+            stepId: currentStep.id,
+            policy: decision,
+          },
+          transcript: { messages: transcript, rounds },
+        };
       }
+      continue;
+    }
+
+    const outOfRounds = rounds >= maxRounds;
+    if (outOfRounds) {
+      log(chalk.yellow(`   ⚠️ Step ${currentStep.id} used all ${maxRounds} tool rounds, asking for a summary`));
+      transcript.push(new HumanMessage(
+        "You have used all tool rounds for this step. Do not call any more tools. " +
+        "Summarize what this step found and changed, and say what is still missing, if anything.",
+      ));
+    }
 
-      console.log(chalk.cyan(`   🔧 Executing: ${response.tool_calls.map(t => t.name).join(", ")}`));
+    const response = await llm.invoke(transcript);
+    rounds++;
+    transcript.push(response);
+    messages.push(response);
 
-      const toolResults = await executeTools(response.tool_calls);
+    const answered = !response.tool_calls || response.tool_calls.length === 0;
+    if (answered || outOfRounds) {
+      if (answered) {
+        log(chalk.gray(rounds === 1 ? `   💬 Response without tools` : `   💬 Step finished after ${rounds} rounds`));
+      }
 
       return {
-        messages: [response, ...toolResults],
-        stepResults: {
-          [currentStep.id]: {
-            success: true,
-            output: toolResults.map(t => t.content).join("\n").slice(0, 500),
-            retries: existingResult?.retries || 0,
-          },
+        // Tool calls in a last reply that won't run can't stay in the conversation
+        messages: answered ? messages : [...messages.slice(0, -1), new AIMessage(response.content || "")],
+        result: {
+          success: answered,
+          ...(answered ? {} : { error: `Step did not finish within ${maxRounds} tool rounds` }),
+          output: describeStepOutput(response.content, transcript),
+          retries: existingResult?.retries || 0,
         },
-        iterations: state.iterations + 1,
       };
     }
+  }
+}
 
-    console.log(chalk.gray(`   💬 Response without tools`));
+/**
+ * A step's result: its closing answer plus a short digest of what its tools returned,
+ * so later steps and the reflector see the data and not only the model's prose
+ * @param {string} content - Final response content
+ * @param {BaseMessage[]} transcript - The step's conversation
+ * @returns {string} Step output
+ */
+function describeStepOutput(content, transcript) {
+  const answer = (typeof content === "string" ? content : "").trim().slice(0, STEP_OUTPUT_LIMIT);
+  const toolMessages = transcript.filter((message) => message._getType() === "tool");
+  if (toolMessages.length === 0) return answer;
+
+  const items = toolMessages.map((message) => {
+    const text = String(message.content).trim();
+    const shown = text.length > TOOL_DIGEST_ITEM_LIMIT ? `${text.slice(0, TOOL_DIGEST_ITEM_LIMIT)}...` : text;
+    return `- ${message.name}: ${shown.replace(/\n/g, "\n  ")}`;
+  });
+
+  // Newest results first until the digest is full
+  const kept = [];
+  let length = 0;
+  for (const item of [...items].reverse()) {
+    if (length + item.length > TOOL_DIGEST_LIMIT) break;
+    kept.unshift(item);
+    length += item.length + 1;
+  }
 
-    return {
-      messages: [response],
-      stepResults: {
-        [currentStep.id]: {
-          success: true,
-          output: response.content.slice(0, 500),
-          retries: existingResult?.retries || 0,
-        },
-      },
-      iterations: state.iterations + 1,
-    };
+  const heading = kept.length < items.length ? `Tool results (last ${kept.length} of ${items.length})` : "Tool results";
+  return [answer, `${heading}:\n${kept.join("\n")}`].filter(Boolean).join("\n\n");
+}
 
-  } catch (error) {
-    console.error(chalk.red(`   ❌ Executor error: ${error.message}`));
+// Tool calls in the last AI message that have no ToolMessage answering them yet
+function unansweredToolCalls(transcript) {
+  const lastAi = transcript.findLastIndex((message) => message._getType() === "ai");
+  if (lastAi === -1) return [];
 
-    const currentStep = getCurrentStep(state);
-    const existingResult = state.stepResults[currentStep?.id];
+  const answered = new Set(
+    transcript.slice(lastAi + 1).filter((message) => message._getType() === "tool").map((message) => message.tool_call_id),
+  );
+  return (transcript[lastAi].tool_calls || []).filter((toolCall) => !answered.has(toolCall.id));
+}
 
-    return {
-      stepResults: {
-        [currentStep?.id || 0]: {
-          success: false,
-          error: error.message,
-          retries: (existingResult?.retries || 0) + 1,
-        },
-      },
-      error: error.message,
-      iterations: state.iterations + 1,
-    };
-  }
+// State update for a step after executeStep: its result, or its transcript while it waits for approval
+function stepOutcomeUpdate(step, outcome) {
+  return outcome.pendingToolCall
+    ? { pendingToolCall: outcome.pendingToolCall, stepTranscripts: { [step.id]: outcome.transcript } }
+    : { stepResults: { [step.id]: outcome.result }, stepTranscripts: { [step.id]: null } };
 }
 
-async function executeTools(toolCalls) {
+export async function executeTools(toolCalls, sessionId) {
   const results = [];
 
   for (const toolCall of toolCalls) {
@@ -237,7 +435,8 @@ async function executeTools(toolCalls) {
     }
 
     try {
-      const result = await tool.invoke(toolCall.args);
+      const invoke = () => invokeWithCheckpoint(tool, toolCall.args, sessionId);
+      const result = CheckpointStore.isMutatingTool(toolCall.name) ? await runMutatingTool(invoke) : await invoke();
       results.push(new ToolMessage({
         content: result,
         tool_call_id: toolCall.id,
@@ -257,6 +456,12 @@ async function executeTools(toolCalls) {
   return results;
 }
 
+function runMutatingTool(invoke) {
+  const run = mutatingToolQueue.then(invoke, invoke);
+  mutatingToolQueue = run.catch(() => {});
+  return run;
+}
+
 export async function executeDangerousToolNode(state) {
   console.log(chalk.cyan("\n📍 [Execute Dangerous Tool]"));
 
@@ -267,23 +472,27 @@ export async function executeDangerousToolNode(state) {
     return { pendingToolCall: null };
   }
 
+  // Steps from the executor's tool loop see the outcome (approved or not) and carry on
+  const resumable = Boolean(state.stepTranscripts?.[pending.stepId]);
+
   if (!state.toolApproved) {
     console.log(chalk.red("   ❌ Tool was rejected"));
 
+    const toolMessage = new ToolMessage({
+      content: pending.rejection || "User rejected this action. Try a different approach.",
+      tool_call_id: pending.id,
+      name: pending.name,
+    });
+    if (resumable) return await resumeStep(state, pending, toolMessage);
+
     return {
-      messages: [
-        new ToolMessage({
-          content: "User rejected this action. Try a different approach.",
-          tool_call_id: pending.id,
-          name: pending.name,
-        }),
-      ],
+      messages: [toolMessage],
       pendingToolCall: null,
       toolApproved: null,
       stepResults: {
         [pending.stepId]: {
           success: false,
-          error: "User rejected the action",
+          error: pending.rejection || "User rejected the action",
           retries: (state.stepResults[pending.stepId]?.retries || 0) + 1,
         },
       },
@@ -295,30 +504,35 @@ export async function executeDangerousToolNode(state) {
   const tool = getToolByName(pending.name);
 
   if (!tool) {
+    const toolMessage = new ToolMessage({
+      content: `Tool not found: ${pending.name}`,
+      tool_call_id: pending.id,
+      name: pending.name,
+    });
+    if (resumable) return await resumeStep(state, pending, toolMessage);
+
     return {
-      messages: [
-        new ToolMessage({
-          content: `Tool not found: ${pending.name}`,
-          tool_call_id: pending.id,
-          name: pending.name,
-        }),
-      ],
+      messages: [toolMessage],
       pendingToolCall: null,
       toolApproved: null,
     };
   }
 
   try {
-    const result = await tool.invoke(pending.args);
+    const result = describeToolResult(
+      pending,
+      await invokeWithCheckpoint(tool, pending.args, state.sessionId),
+    );
+
+    const toolMessage = new ToolMessage({
+      content: result,
+      tool_call_id: pending.id,
+      name: pending.name,
+    });
+    if (resumable) return await resumeStep(state, pending, toolMessage);
 
     return {
-      messages: [
-        new ToolMessage({
-          content: result,
-          tool_call_id: pending.id,
-          name: pending.name,
-        }),
-      ],
+      messages: [toolMessage],
       pendingToolCall: null,
       toolApproved: null,
       stepResults: {
@@ -330,14 +544,15 @@ export async function executeDangerousToolNode(state) {
       },
     };
   } catch (error) {
+    const toolMessage = new ToolMessage({
+      content: `Error: ${error.message}`,
+      tool_call_id: pending.id,
+      name: pending.name,
+    });
+    if (resumable) return await resumeStep(state, pending, toolMessage);
+
     return {
-      messages: [
-        new ToolMessage({
-          content: `Error: ${error.message}`,
-          tool_call_id: pending.id,
-          name: pending.name,
-        }),
-      ],
+      messages: [toolMessage],
       pendingToolCall: null,
       toolApproved: null,
       stepResults: {
@@ -351,3 +566,31 @@ export async function executeDangerousToolNode(state) {
     };
   }
 }
+
+// Add the approved (or rejected) tool's result to the step's transcript and continue its loop
+async function resumeStep(state, pending, toolMessage) {
+  const step = state.plan.steps.find((candidate) => candidate.id === pending.stepId);
+  const saved = state.stepTranscripts[pending.stepId];
+  const transcript = { ...saved, messages: [...saved.messages, toolMessage] };
+
+  let outcome;
+  try {
+    outcome = await executeStep(
+      { ...state, stepTranscripts: { ...state.stepTranscripts, [step.id]: transcript } },
+      step,
+    );
+  } catch (error) {
+    console.error(chalk.red(`   ❌ Executor error: ${error.message}`));
+    outcome = {
+      messages: [],
+      result: { success: false, error: error.message, retries: (state.stepResults[step.id]?.retries || 0) + 1 },
+    };
+  }
+
+  return {
+    messages: [toolMessage, ...outcome.messages],
+    pendingToolCall: null,
+    toolApproved: null,
+    ...stepOutcomeUpdate(step, outcome),
+  };
+}
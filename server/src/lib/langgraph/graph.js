@@ -17,9 +17,11 @@ import {
   safeToolNode,
   humanApprovalNode,
   simpleDangerousToolNode,
+  planReviewNode,
 
   routeAfterSimpleAgent,
   routeAfterPlanner,
+  routeAfterPlanReview,
   routeAfterExecutor,
   routeAfterReflector,
 } from "./nodes.js";
@@ -30,6 +32,7 @@ export function buildFullAgentGraph(checkpointer = null) {
   const graph = new StateGraph(AgentState);
 
   graph.addNode("planner", plannerNode);
+  graph.addNode("plan_review", planReviewNode);
   graph.addNode("executor", executorNode);
   graph.addNode("reflector", reflectorNode);
   graph.addNode("human_approval", humanApprovalNode);
@@ -38,10 +41,17 @@ export function buildFullAgentGraph(checkpointer = null) {
   graph.addEdge(START, "planner");
 
   graph.addConditionalEdges("planner", routeAfterPlanner, {
+    review: "plan_review",
     execute: "executor",
     end: END,
   });
 
+  graph.addConditionalEdges("plan_review", routeAfterPlanReview, {
+    execute: "executor",
+    replan: "planner",
+    end: END,
+  });
+
   graph.addConditionalEdges("executor", routeAfterExecutor, {
     needs_approval: "human_approval",
     reflect: "reflector",
@@ -50,12 +60,17 @@ export function buildFullAgentGraph(checkpointer = null) {
 
   graph.addConditionalEdges("reflector", routeAfterReflector, {
     execute: "executor",
+    replan: "planner",
     end: END,
   });
 
   graph.addEdge("human_approval", "execute_dangerous");
 
-  graph.addEdge("execute_dangerous", "reflector");
+  // The step's tool loop carries on after the approved tool and may stop for another one
+  graph.addConditionalEdges("execute_dangerous", routeAfterExecutor, {
+    needs_approval: "human_approval",
+    reflect: "reflector",
+  });
 
   const compileOptions = {};
   if (checkpointer) {
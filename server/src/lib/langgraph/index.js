@@ -5,18 +5,35 @@ export { config, SYSTEM_PROMPT, PLANNER_PROMPT, EXECUTOR_PROMPT, REFLECTOR_PROMP
 
 export { createBaseLLM, createLLMWithTools, createPlannerLLM, createExecutorLLM, createReflectorLLM } from "./llm.js";
 
+export { PlanSchema, PlanStepSchema, ReflectionSchema, invokeStructured } from "./schemas.js";
+
 export {
   allTools,
   safeTools,
   dangerousTools,
   isDangerousTool,
+  findToolCallNeedingApproval,
   getToolByName,
   readFileTool,
   writeFileTool,
+  editFileTool,
   shellCommandTool,
+  executeCodeTool,
+  runTestsTool,
+  checkCodeTool,
   listDirectoryTool,
   searchFilesTool,
+  grepFilesTool,
+  gitStatusTool,
+  gitDiffTool,
+  gitLogTool,
+  gitBlameTool,
+  gitCommitTool,
+  gitCheckoutBranchTool,
+  gitStashTool,
   calculatorTool,
+  httpRequestTool,
+  webFetchTool,
 } from "./tools.js";
 
 export {
@@ -27,7 +44,9 @@ export {
   simpleAgentNode,
   safeToolNode,
   humanApprovalNode,
+  planReviewNode,
   getCurrentStep,
+  getReadySteps,
   isAllStepsComplete,
   getProgressString,
 } from "./nodes.js";
@@ -40,3 +59,7 @@ export {
 } from "./graph.js";
 
 export { AgentSession, quickChat } from "./session.js";
+
+export { evaluateToolCall, loadPolicy, parseCommand, approveToolForSession, addProjectRule } from "./policy.js";
+export { searchWeb, registerSearchProvider } from "./tools/search.js";
+export { GitIsolation } from "./isolation.js";
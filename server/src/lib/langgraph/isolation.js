@@ -0,0 +1,251 @@
+// Git Isolation - Run each agent task on its own branch (or worktree), commit after
+// every successful plan step, and let the user squash, merge or discard the result
+
+import fs from "fs";
+import path from "path";
+
+import { config } from "../../config/google.config.js";
+import { configureWorkspace } from "./tools/workspace.js";
+import { runGit } from "./tools/git.js";
+import { toPosix } from "./tools/walk.js";
+
+export const ISOLATION_MODES = ["worktree", "branch"];
+
+const MAX_SUBJECT_LENGTH = 72;
+const MAX_BODY_CHARS = 600;
+
+export class GitIsolation {
+
+  /**
+   * @param {string} mode - "worktree" (separate checkout, the user's files are untouched)
+   *   or "branch" (switch the current checkout; needs a clean working tree)
+   */
+  constructor(mode = "worktree") {
+    if (!ISOLATION_MODES.includes(mode)) {
+      throw new Error(`Unknown --git-isolate mode "${mode}". Use ${ISOLATION_MODES.join(" or ")}`);
+    }
+    this.mode = mode;
+    this.task = null;
+  }
+
+  /**
+   * Create the working branch for a task and point the workspace at it
+   * @param {string} description - The user's request
+   * @returns {Promise<Object>} The task: { branch, baseBranch (null on a detached HEAD), baseCommit, workDir,
+   *   linkedDependencies, ... }
+   * @throws {Error} When the workspace isn't a git repository or (branch mode) has local changes
+   */
+  async startTask(description) {
+    const userRoot = config.workspace.root;
+    const repoRoot = (await runGit(["rev-parse", "--show-toplevel"], userRoot)).trim();
+    const head = (await runGit(["rev-parse", "--abbrev-ref", "HEAD"], repoRoot)).trim();
+    const baseBranch = head === "HEAD" ? null : head;
+    const baseCommit = (await runGit(["rev-parse", "HEAD"], repoRoot)).trim();
+    const branch = `apex/${slugify(description)}-${Date.now().toString(36)}`;
+
+    let workDir = repoRoot;
+    let linkedDependencies = [];
+    if (this.mode === "worktree") {
+      workDir = path.join(config.configDir, "worktrees", branch.replace(/\//g, "-"));
+      fs.mkdirSync(path.dirname(workDir), { recursive: true });
+      await runGit(["worktree", "add", "-b", branch, workDir, baseCommit], repoRoot);
+      linkedDependencies = linkDependencies(repoRoot, userRoot, workDir);
+    } else {
+      const changes = await runGit(["status", "--porcelain"], repoRoot);
+      if (changes.trim()) {
+        throw new Error("Branch isolation needs a clean working tree. Commit or stash your changes, or use --git-isolate worktree");
+      }
+      await runGit(["checkout", "-b", branch], repoRoot);
+    }
+
+    this.task = {
+      description,
+      branch,
+      baseBranch,
+      baseCommit,
+      repoRoot,
+      workDir,
+      userRoot,
+      linkedDependencies,
+      commits: [],
+    };
+
+    // Same subdirectory of the repository, but inside the task's checkout
+    configureWorkspace({ root: path.join(workDir, path.relative(repoRoot, userRoot)) });
+    return this.task;
+  }
+
+  /**
+   * Commit whatever the step changed. Does nothing when the tree is clean.
+   * @param {Object} step - Plan step { id, description }
+   * @param {Object} result - Step result { output }
+   * @returns {Promise<string|null>} Short commit hash, or null if there was nothing to commit
+   */
+  async commitStep(step, result = {}) {
+    if (!this.task) return null;
+
+    const number = this.task.commits.length + 1;
+    const subject = truncate(`apex: step ${number} - ${step.description}`, MAX_SUBJECT_LENGTH);
+    const body = [
+      `Task: ${this.task.description}`,
+      result.output ? truncate(String(result.output).trim(), MAX_BODY_CHARS) : null,
+    ].filter(Boolean).join("\n\n");
+
+    return this.commitAll(`${subject}\n\n${body}`, step.description);
+  }
+
+  /**
+   * Commit leftovers and describe what the task did
+   * @returns {Promise<Object|null>} { branch, baseBranch, commits, stat } or null without a task
+   */
+  async summarize() {
+    if (!this.task) return null;
+
+    await this.commitAll(`apex: unfinished changes\n\nTask: ${this.task.description}`, "unfinished changes");
+
+    const stat = this.task.commits.length > 0
+      ? (await runGit(["diff", "--stat", `${this.task.baseCommit}..${this.task.branch}`], this.task.workDir)).trimEnd()
+      : "";
+
+    return {
+      branch: this.task.branch,
+      baseBranch: describeBase(this.task),
+      commits: this.task.commits,
+      stat,
+    };
+  }
+
+  /**
+   * Bring the task's work back and clean up
+   * @param {string} action - "squash" (one commit on the base branch), "merge", "keep" or "discard"
+   * @returns {Promise<string>} What happened
+   * @throws {Error} When the base checkout moved, has staged changes or the merge conflicts
+   *   (the task's branch is kept)
+   */
+  async finishTask(action) {
+    const task = this.task;
+    if (!task) return "No isolated task in progress";
+
+    // Put the user back where they started before touching the base branch
+    configureWorkspace({ root: task.userRoot });
+    if (this.mode === "worktree") {
+      await runGit(["worktree", "remove", "--force", task.workDir], task.repoRoot);
+    } else {
+      await runGit(task.baseBranch ? ["checkout", task.baseBranch] : ["checkout", "--detach", task.baseCommit], task.repoRoot);
+    }
+    this.task = null;
+
+    if (task.commits.length === 0 && action !== "keep") {
+      await runGit(["branch", "-D", task.branch], task.repoRoot);
+      return "The task made no changes; removed its branch";
+    }
+
+    if (action === "squash" || action === "merge") {
+      await assertReadyToMerge(task);
+    }
+
+    switch (action) {
+      case "squash":
+        await mergeOrReset(
+          task,
+          ["merge", "--squash", task.branch],
+          ["commit", "-m", truncate(task.description, MAX_SUBJECT_LENGTH), "-m", describeCommits(task)],
+        );
+        await runGit(["branch", "-D", task.branch], task.repoRoot);
+        return `Squashed ${task.commits.length} commit(s) into ${describeBase(task)}`;
+
+      case "merge":
+        await mergeOrReset(task, ["merge", "--no-ff", "-m", `Merge ${task.branch}`, task.branch]);
+        await runGit(["branch", "-d", task.branch], task.repoRoot);
+        return `Merged ${task.branch} into ${describeBase(task)}`;
+
+      case "discard":
+        await runGit(["branch", "-D", task.branch], task.repoRoot);
+        return `Discarded ${task.branch}`;
+
+      default:
+        return `Kept branch ${task.branch}`;
+    }
+  }
+
+  async commitAll(message, label) {
+    const excludes = this.task.linkedDependencies.map((dir) => `:(exclude)${dir}`);
+    await runGit(["add", "--all", "--", ".", ...excludes], this.task.workDir);
+    const staged = await runGit(["diff", "--cached", "--name-only"], this.task.workDir);
+    if (!staged.trim()) return null;
+
+    await runGit(["commit", "--no-verify", "-m", message], this.task.workDir);
+    const hash = (await runGit(["rev-parse", "--short", "HEAD"], this.task.workDir)).trim();
+    this.task.commits.push({ hash, label, files: staged.trim().split("\n").length });
+    return hash;
+  }
+}
+
+/**
+ * Refuse to squash or merge into a checkout that has moved on or has staged changes:
+ * the merge would commit them along with the task's work, or stop halfway
+ */
+async function assertReadyToMerge(task) {
+  const head = (await runGit(["rev-parse", "--abbrev-ref", "HEAD"], task.repoRoot)).trim();
+  if (task.baseBranch && head !== task.baseBranch) {
+    throw new Error(`${task.repoRoot} is on ${head}, not ${task.baseBranch}. Switch back and merge ${task.branch} yourself`);
+  }
+
+  const staged = await runGit(["diff", "--cached", "--name-only"], task.repoRoot);
+  if (staged.trim()) {
+    throw new Error(`${task.repoRoot} has staged changes. Commit or unstage them, then merge ${task.branch} yourself`);
+  }
+}
+
+// Run a merge (and its commit); on conflicts put the checkout back as it was
+async function mergeOrReset(task, ...commands) {
+  try {
+    for (const args of commands) {
+      await runGit(args, task.repoRoot);
+    }
+  } catch (error) {
+    await runGit(["reset", "--merge"], task.repoRoot).catch(() => {});
+    throw new Error(`Merging into ${describeBase(task)} failed (${error.message.trim()}), so it was left as it was`);
+  }
+}
+
+/**
+ * Link the user's node_modules (at the repository root and the workspace) into a new worktree.
+ * They aren't tracked, so without this run_tests and check_code would fail in the worktree.
+ * @returns {string[]} Linked paths, relative to the repository root
+ */
+function linkDependencies(repoRoot, userRoot, workDir) {
+  const linked = [];
+  for (const dir of new Set([repoRoot, userRoot])) {
+    const source = path.join(dir, "node_modules");
+    const relative = path.relative(repoRoot, source);
+    const target = path.join(workDir, relative);
+    if (!fs.existsSync(source) || fs.existsSync(target) || !fs.existsSync(path.dirname(target))) continue;
+
+    fs.symlinkSync(source, target, "junction");
+    linked.push(toPosix(relative));
+  }
+  return linked;
+}
+
+function describeBase(task) {
+  return task.baseBranch || `detached HEAD (${task.baseCommit.slice(0, 7)})`;
+}
+
+function describeCommits(task) {
+  return task.commits.map((commit) => `- ${commit.label}`).join("\n");
+}
+
+function slugify(text) {
+  const slug = text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40)
+    .replace(/-+$/, "");
+  return slug || "task";
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+}
@@ -13,7 +13,7 @@ function createOpenRouterLLM(options = {}) {
 
   process.env.OPENAI_API_KEY = config.openRouterApiKey;
 
-  return new ChatOpenAI({
+  const llm = new ChatOpenAI({
     modelName: options.model || config.model,
     temperature: options.temperature ?? config.temperature,
     maxTokens: options.maxTokens || config.maxOutputTokens,
@@ -28,6 +28,10 @@ function createOpenRouterLLM(options = {}) {
       },
     },
   });
+
+  // JSON mode rather than json_schema: with a schema the OpenAI client parses the reply itself
+  // and throws (and gets retried) on bad JSON, before invokeStructured can ask for a repair
+  return options.json ? llm.withConfig({ response_format: { type: "json_object" } }) : llm;
 }
 
 function createGoogleLLM(options = {}) {
@@ -42,6 +46,7 @@ function createGoogleLLM(options = {}) {
     apiKey: config.googleApiKey,
     temperature: options.temperature ?? config.temperature,
     maxOutputTokens: options.maxTokens || config.maxOutputTokens,
+    json: Boolean(options.json),
   });
 }
 
@@ -58,7 +63,7 @@ export function createLLMWithTools(tools, options = {}) {
 }
 
 export function createPlannerLLM() {
-  return createBaseLLM({ temperature: 0.3 });
+  return createBaseLLM({ temperature: 0.3, json: config.structuredOutput });
 }
 
 export function createExecutorLLM(tools) {
@@ -67,7 +72,7 @@ export function createExecutorLLM(tools) {
 }
 
 export function createReflectorLLM() {
-  return createBaseLLM({ temperature: 0.2, maxTokens: 1024 });
+  return createBaseLLM({ temperature: 0.2, maxTokens: 1024, json: config.structuredOutput });
 }
 
 export { SYSTEM_PROMPT };
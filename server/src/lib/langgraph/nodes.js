@@ -2,16 +2,28 @@
 import readline from "readline";
 import chalk from "chalk";
 import { AIMessage, ToolMessage, SystemMessage } from "@langchain/core/messages";
-import { ToolNode } from "@langchain/langgraph/prebuilt";
 
-export { plannerNode, getCurrentStep, isAllStepsComplete, getProgressString } from "./planner.js";
+export { plannerNode, getCurrentStep, getReadySteps, isAllStepsComplete, getProgressString } from "./planner.js";
 
 export { executorNode, executeDangerousToolNode } from "./executor.js";
+import { executeTools } from "./executor.js";
 
 export { reflectorNode, routeAfterReflector } from "./reflector.js";
 
 import { createLLMWithTools, SYSTEM_PROMPT } from "./llm.js";
-import { allTools, safeTools, isDangerousTool, getToolByName } from "./tools.js";
+import { allTools, findToolCallNeedingApproval, getToolByName } from "./tools.js";
+import {
+  printToolPreview,
+  editInEditor,
+  withUserContent,
+  describeToolResult,
+  getApprovalChoices,
+  printApprovalChoices,
+  parseApprovalAnswer,
+} from "./approval.js";
+import { shouldReviewPlan, printPlan, printReviewHelp, applyReviewCommand } from "./review.js";
+import { approveToolForSession, suggestProjectRule, addProjectRule } from "./policy.js";
+import { invokeWithCheckpoint } from "./checkpoints.js";
 import { config } from "../../config/google.config.js";
 
 export async function simpleAgentNode(state) {
@@ -58,19 +70,20 @@ export async function simpleAgentNode(state) {
     const response = await _llmWithTools.invoke(allMessages);
 
     if (response.tool_calls?.length > 0) {
-      for (const toolCall of response.tool_calls) {
-        if (isDangerousTool(toolCall.name)) {
-          console.log(chalk.yellow(`   ⚠️ Dangerous tool: ${toolCall.name}`));
-          return {
-            messages: [response],
-            pendingToolCall: {
-              id: toolCall.id,
-              name: toolCall.name,
-              args: toolCall.args,
-            },
-            iterations: state.iterations + 1,
-          };
-        }
+      const gated = findToolCallNeedingApproval(response.tool_calls, state.sessionId);
+      if (gated) {
+        const { toolCall, decision } = gated;
+        console.log(chalk.yellow(`   ⚠️ ${decision.action === "deny" ? "Blocked" : "Dangerous"} tool: ${toolCall.name}`));
+        return {
+          messages: [response],
+          pendingToolCall: {
+            id: toolCall.id,
+            name: toolCall.name,
+            args: toolCall.args,
+            policy: decision,
+          },
+          iterations: state.iterations + 1,
+        };
       }
       console.log(chalk.cyan(`   🔧 Tool call: ${response.tool_calls.map(t => t.name).join(", ")}`));
     } else if (response.content) {
@@ -90,7 +103,11 @@ export async function simpleAgentNode(state) {
   }
 }
 
-export const safeToolNode = new ToolNode(safeTools);
+export async function safeToolNode(state) {
+  const lastMessage = state.messages[state.messages.length - 1];
+  const toolResults = await executeTools(lastMessage?.tool_calls || [], state.sessionId);
+  return { messages: toolResults };
+}
 
 export async function humanApprovalNode(state) {
   console.log(chalk.yellow("\n📍 [Human Approval] Waiting for user..."));
@@ -100,43 +117,142 @@ export async function humanApprovalNode(state) {
     return { toolApproved: false };
   }
 
+  if (pendingTool.policy?.action === "deny") {
+    console.log(chalk.red(`   ⛔ Blocked by policy: ${pendingTool.name} (${pendingTool.policy.reason})`));
+    return {
+      toolApproved: false,
+      pendingToolCall: {
+        ...pendingTool,
+        rejection: `Blocked by the user's tool policy (${pendingTool.policy.reason}). Do not try to run it another way.`,
+      },
+    };
+  }
+
   console.log("\n" + "═".repeat(50));
   console.log(chalk.bold.yellow("⚠️  ACTION REQUIRES YOUR APPROVAL"));
   console.log("═".repeat(50));
   console.log(chalk.white(`\n📌 Tool: ${chalk.cyan(pendingTool.name)}`));
-  console.log(chalk.white("📌 Arguments:"));
-
-  Object.entries(pendingTool.args).forEach(([key, value]) => {
-    const displayValue = String(value).slice(0, 100);
-    const truncated = String(value).length > 100 ? "..." : "";
-    console.log(chalk.gray(`   • ${key}: ${displayValue}${truncated}`));
-  });
+  if (pendingTool.policy?.reason) {
+    console.log(chalk.gray(`📌 Why: ${pendingTool.policy.reason}`));
+  }
+  let change = printToolPreview(pendingTool);
   console.log("\n" + "═".repeat(50));
 
+  const projectRule = suggestProjectRule(pendingTool.name, pendingTool.args);
+
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
   });
+  const ask = (question) => new Promise((resolve) => rl.question(question, resolve));
+
+  let approvedTool = pendingTool;
+  let choices = getApprovalChoices(approvedTool, change, projectRule);
+  let choice = null;
+
+  while (choice === null) {
+    printApprovalChoices(choices);
+    choice = parseApprovalAnswer(await ask(chalk.bold("\n✋ Your choice: ")), choices);
+
+    if (choice === null) {
+      console.log(chalk.yellow("   Please pick one of the options above."));
+    } else if (choice === "edit") {
+      rl.pause();
+      const edited = editInEditor(change.newContent, change.filePath);
+      rl.resume();
+
+      if (edited !== null) {
+        approvedTool = withUserContent(approvedTool, change, edited);
+        console.log(chalk.cyan("\n📝 Edited version:\n"));
+        change = printToolPreview(approvedTool);
+        choices = getApprovalChoices(approvedTool, change, projectRule);
+      }
+      choice = null;
+    }
+  }
 
-  const answer = await new Promise((resolve) => {
-    rl.question(chalk.bold("\n✋ Approve this action? (yes/no): "), resolve);
-  });
+  let feedback = "";
+  if (choice === "feedback") {
+    feedback = (await ask(chalk.bold("💬 What should the agent do instead? "))).trim();
+  }
   rl.close();
 
-  const approved = ["yes", "y", "yeah", "yep", "sure", "ok", "okay"]
-    .includes(answer.toLowerCase().trim());
+  if (choice === "session") {
+    approveToolForSession(state.sessionId, pendingTool.name);
+    console.log(chalk.green(`   ✅ Approved — ${pendingTool.name} won't ask again this session`));
+  } else if (choice === "project") {
+    const file = addProjectRule(projectRule.section, "allow", projectRule.pattern);
+    console.log(chalk.green(`   ✅ Approved — saved rule to ${file}`));
+  } else if (choice === "once") {
+    console.log(chalk.green("   ✅ Approved by user"));
+  } else {
+    console.log(chalk.red("   ❌ Rejected by user"));
+  }
 
-  console.log(
-    approved
-      ? chalk.green("   ✅ Approved by user")
-      : chalk.red("   ❌ Rejected by user")
-  );
+  const approved = ["once", "session", "project"].includes(choice);
 
   return {
     toolApproved: approved,
+    pendingToolCall: feedback
+      ? { ...approvedTool, rejection: `User rejected this action with feedback: ${feedback}` }
+      : approvedTool,
   };
 }
 
+export async function planReviewNode(state) {
+  console.log(chalk.yellow("\n📍 [Plan Review] Waiting for user..."));
+
+  let plan = state.plan;
+
+  console.log("\n" + "═".repeat(50));
+  console.log(chalk.bold.yellow("📋 REVIEW THE PLAN BEFORE IT RUNS"));
+  console.log("═".repeat(50) + "\n");
+  printPlan(plan);
+  console.log();
+  printReviewHelp();
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  const ask = (question) => new Promise((resolve) => rl.question(question, resolve));
+
+  let result = null;
+  while (!result) {
+    const answer = await ask(chalk.bold("\n📝 Approve, change or re-plan (? for help): "));
+    const outcome = applyReviewCommand(plan, answer);
+
+    if (outcome.error) {
+      console.log(chalk.yellow(`   ${outcome.error}`));
+    } else if (outcome.action === "help") {
+      printReviewHelp();
+    } else if (outcome.action === "edit") {
+      plan = outcome.plan;
+      console.log(chalk.cyan("\n📝 Updated plan:\n"));
+      printPlan(plan);
+    } else {
+      result = outcome;
+    }
+  }
+  rl.close();
+
+  if (result.action === "cancel") {
+    console.log(chalk.red("   ❌ Plan cancelled by user"));
+    return {
+      planReviewAction: "cancel",
+      messages: [new AIMessage("Okay, I cancelled that plan. Nothing was run.")],
+    };
+  }
+
+  if (result.action === "replan") {
+    console.log(chalk.cyan("   🔄 Asking the planner for a new plan"));
+    return { plan, planReviewAction: "replan", planFeedback: result.feedback };
+  }
+
+  console.log(chalk.green(`   ✅ Plan approved (${plan.steps.length} steps)`));
+  return { plan, planReviewAction: "approve" };
+}
+
 export async function simpleDangerousToolNode(state) {
   console.log(chalk.gray("\n📍 [Execute Dangerous Tool]"));
 
@@ -147,7 +263,7 @@ export async function simpleDangerousToolNode(state) {
     return {
       messages: [
         new ToolMessage({
-          content: "User rejected this action. Do not attempt it again.",
+          content: pending?.rejection || "User rejected this action. Do not attempt it again.",
           tool_call_id: pending?.id || "unknown",
           name: pending?.name || "unknown",
         }),
@@ -173,7 +289,10 @@ export async function simpleDangerousToolNode(state) {
   }
 
   try {
-    const result = await tool.invoke(pending.args);
+    const result = describeToolResult(
+      pending,
+      await invokeWithCheckpoint(tool, pending.args, state.sessionId),
+    );
     console.log(chalk.green(`   ✅ Executed: ${pending.name}`));
 
     return {
@@ -232,10 +351,31 @@ export function routeAfterPlanner(state) {
     return "end";
   }
 
+  if (shouldReviewPlan(state.plan)) {
+    console.log(chalk.gray("🔀 Routing to: plan_review"));
+    return "review";
+  }
+
   console.log(chalk.gray("🔀 Routing to: executor"));
   return "execute";
 }
 
+export function routeAfterPlanReview(state) {
+  switch (state.planReviewAction) {
+    case "replan":
+      console.log(chalk.gray("🔀 Routing to: planner"));
+      return "replan";
+
+    case "cancel":
+      console.log(chalk.gray("🔀 Routing to: end (plan cancelled)"));
+      return "end";
+
+    default:
+      console.log(chalk.gray("🔀 Routing to: executor"));
+      return "execute";
+  }
+}
+
 export function routeAfterExecutor(state) {
 
   if (state.pendingToolCall) {
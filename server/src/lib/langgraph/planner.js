@@ -1,7 +1,8 @@
-import { HumanMessage, SystemMessage } from "@langchain/core/messages";
+import { AIMessage, HumanMessage, SystemMessage } from "@langchain/core/messages";
 import chalk from "chalk";
 
 import { createPlannerLLM } from "./llm.js";
+import { invokeStructured, PlanSchema } from "./schemas.js";
 import { PLANNER_PROMPT } from "../../config/google.config.js";
 import { getToolDescriptions } from "./tools.js";
 
@@ -51,6 +52,7 @@ export async function plannerNode(state) {
             id: 1,
             description: "Respond directly to the user",
             tools_needed: [],
+            depends_on: [],
             status: "pending",
           },
         ],
@@ -60,106 +62,104 @@ export async function plannerNode(state) {
       return {
         plan: simplePlan,
         currentStep: 0,
+        stepResults: null,
+        stepTranscripts: null,
+        activeSteps: [],
+        replanReason: null,
+        planVersions: [],
         iterations: state.iterations + 1,
       };
     }
 
     const toolDescriptions = getToolDescriptions();
 
+    // Revising the plan for the same request, after plan review feedback or because the
+    // reflector found the plan was wrong. Steps that already succeeded are kept
+    const previousPlan = (state.planFeedback || state.replanReason) && state.plan?.steps ? state.plan : null;
+    const keptSteps = previousPlan
+      ? previousPlan.steps.filter((step) => state.stepResults[step.id]?.success === true)
+      : [];
+    const revision = previousPlan ? `\n\n${describeRevision(state, keptSteps)}` : "";
+
     const systemPrompt = `${PLANNER_PROMPT}
 
 ## Available Tools:
-${toolDescriptions}`;
+${toolDescriptions}${revision}`;
 
     const llm = createPlannerLLM();
 
-    const response = await llm.invoke([
-      new SystemMessage(systemPrompt),
-      new HumanMessage(userRequest),
-    ]);
-
-    let plan = null;
-
+    let plan;
     try {
-      // First, try direct parse
-      plan = JSON.parse(response.content);
-    } catch (e) {
-      // If that fails, aggressively strip markdown blocks like ```json ... ```
-      let cleaned = response.content.replace(/```(?:json)?/gi, "").trim();
-
-      try {
-        plan = JSON.parse(cleaned);
-      } catch (e2) {
-        // As a last resort, try regex match for the first JSON object block
-        const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          try {
-            plan = JSON.parse(jsonMatch[0]);
-          } catch (e3) {
-            console.log(
-              chalk.red(
-                "   ⚠️ Failed to parse plan JSON. Check model output format.",
-              ),
-            );
-            // THE FALLBACK
-            plan = {
-              goal: userRequest,
-              steps: [
-                {
-                  id: 1,
-                  description: userRequest,
-                  tools_needed: [],
-                  status: "pending",
-                },
-              ],
-              estimated_complexity: "simple",
-            };
-          }
-        } else {
-          console.log(
-            chalk.red(
-              "   ⚠️ Failed to find any JSON objects in plan response. Check model output format.",
-            ),
-          );
-          plan = {
-            goal: userRequest,
-            steps: [
-              {
-                id: 1,
-                description: userRequest,
-                tools_needed: [],
-                status: "pending",
-              },
-            ],
-            estimated_complexity: "simple",
-          };
-        }
-      }
+      plan = await invokeStructured(
+        llm,
+        [new SystemMessage(systemPrompt), new HumanMessage(userRequest)],
+        PlanSchema,
+        "plan",
+      );
+    } catch (error) {
+      // Say so instead of running a made-up plan
+      console.log(chalk.red(`   ❌ No valid plan. ${error.message}`));
+      return {
+        error: `Planner failed: ${error.message}`,
+        plan: null,
+        planFeedback: null,
+        replanReason: null,
+        messages: [new AIMessage(`I couldn't come up with a usable plan for this request. ${error.message}`)],
+      };
     }
 
     if (plan && plan.steps) {
-      plan.steps = plan.steps.map((step, idx) => ({
-        id: step.id || idx + 1,
-        description: step.description || step.task || "Unknown step",
-        tools_needed: step.tools_needed || [],
-        status: step.status || "pending",
-      }));
+      plan.steps = withKeptSteps(keptSteps, plan.steps);
     }
 
-    console.log(
-      chalk.green(`   ✅ Created plan with ${plan?.steps?.length || 0} steps`),
-    );
+    const version = {
+      version: previousPlan ? state.planVersions.length + 1 : 1,
+      source: state.replanReason ? "reflector" : state.planFeedback ? "user" : "planner",
+      reason: state.replanReason || state.planFeedback || null,
+      steps: (plan?.steps || []).map(({ id, description, status }) => ({ id, description, status })),
+    };
+
+    if (previousPlan) {
+      console.log(
+        chalk.green(`   ✅ Revised plan (v${version.version}) with ${plan?.steps?.length || 0} steps, ${keptSteps.length} kept`),
+      );
+    } else {
+      console.log(
+        chalk.green(`   ✅ Created plan with ${plan?.steps?.length || 0} steps`),
+      );
+    }
     if (plan?.steps) {
       plan.steps.forEach((step, idx) => {
+        const done = step.status === "completed" ? chalk.green("✓ ") : "";
+        const after = step.depends_on.length > 0 ? chalk.dim(` (after ${step.depends_on.join(", ")})`) : "";
         console.log(
-          chalk.gray(`      ${idx + 1}. ${step.description.slice(0, 50)}...`),
+          chalk.gray(`      ${idx + 1}. ${done}${step.description.slice(0, 50)}...`) + after,
         );
       });
     }
+    if (state.replanReason && previousPlan) {
+      previousPlan.steps
+        .filter((step) => !keptSteps.includes(step))
+        .forEach((step) => console.log(chalk.dim(`      ✗ dropped: ${step.description.slice(0, 50)}...`)));
+    }
 
     return {
       plan,
       currentStep: 0,
+      // Results from the previous request's plan would satisfy this plan's step ids; a
+      // revision keeps the results of its finished steps under their new ids
+      stepResults: keptSteps.length > 0
+        ? Object.fromEntries([
+          ...Object.keys(state.stepResults).map((id) => [id, null]),
+          ...keptSteps.map((step, idx) => [idx + 1, state.stepResults[step.id]]),
+        ])
+        : null,
+      stepTranscripts: null,
+      activeSteps: [],
+      planReviewAction: null,
+      planFeedback: null,
+      replanReason: null,
+      planVersions: [...(previousPlan ? state.planVersions : []), version],
       iterations: state.iterations + 1,
     };
   } catch (error) {
@@ -167,10 +167,126 @@ ${toolDescriptions}`;
     return {
       error: `Planner failed: ${error.message}`,
       plan: null,
+      planFeedback: null,
+      replanReason: null,
     };
   }
 }
 
+// Prompt section for a revised plan: the previous plan, why it's being replaced,
+// and what the kept steps already produced
+function describeRevision(state, keptSteps) {
+  const steps = state.plan.steps;
+  const status = (step) => {
+    if (keptSteps.includes(step)) return " [done]";
+    return state.stepResults[step.id] ? " [failed]" : " [not run]";
+  };
+  const previous = steps.map((step, idx) => `${idx + 1}. ${step.description}${state.replanReason ? status(step) : ""}`).join("\n");
+
+  let text = state.replanReason
+    ? `## Your Previous Plan (it isn't working):\n${previous}\n\n## What Went Wrong:\n${state.replanReason}`
+    : `## Your Previous Plan (rejected by the user):\n${previous}\n\n## User Feedback:\n${state.planFeedback}`;
+
+  const failed = steps.filter((step) => state.stepResults[step.id] && !keptSteps.includes(step));
+  if (failed.length > 0) {
+    text += `\n\n## Failed Step Results:\n${failed.map((step) => {
+      const result = state.stepResults[step.id];
+      return `- ${step.description}: ${(result.error || result.output || "(no output)").slice(0, 1000)}`;
+    }).join("\n")}`;
+  }
+
+  if (keptSteps.length === 0) {
+    return `${text}\n\nCreate a new plan for the same request that ${state.replanReason ? "avoids this problem" : "follows this feedback"}.`;
+  }
+
+  return `${text}
+
+## Completed Steps (kept as ${keptSteps.length === 1 ? "step 1" : `steps 1-${keptSteps.length}`}):
+${keptSteps.map((step, idx) => `${idx + 1}. ${step.description}\n   Result: ${(state.stepResults[step.id].output || "(no output)").slice(0, 1000)}`).join("\n")}
+
+Create a revised plan for the same request. List ONLY the steps that still have to run, numbered from ${keptSteps.length + 1}, and don't repeat the completed steps. depends_on may name completed steps as well as new ones.`;
+}
+
+// Put the kept steps first (renumbered 1..n and marked completed) and number the new
+// steps after them. The model is asked to number from n + 1; if it started again at 1,
+// its ids are taken to mean its own steps
+function withKeptSteps(keptSteps, steps) {
+  const offset = keptSteps.length;
+  if (offset === 0) return normalizeSteps(steps);
+
+  const modelIds = steps.map((step, idx) => Number(step.id) || offset + idx + 1);
+  const continued = modelIds.every((id) => id > offset);
+  const newIds = new Map(modelIds.map((id, idx) => [id, offset + idx + 1]));
+
+  const kept = keptSteps.map((step, idx) => ({ ...step, id: idx + 1, depends_on: [], status: "completed" }));
+  const added = steps.map((step, idx) => ({
+    ...step,
+    id: offset + idx + 1,
+    depends_on: Array.isArray(step.depends_on)
+      ? step.depends_on.map(Number).map((dep) => (continued && dep <= offset ? dep : newIds.get(dep))).filter(Boolean)
+      : undefined,
+  }));
+
+  return normalizeSteps([...kept, ...added]);
+}
+
+/**
+ * Give every step an id and a valid depends_on list. A step without depends_on waits
+ * for the step before it (the old sequential behaviour); references to unknown or
+ * later steps are dropped so the graph can't contain cycles.
+ * @param {Object[]} steps - Steps as the model wrote them
+ * @returns {Object[]} Normalized steps
+ */
+export function normalizeSteps(steps) {
+  const seen = [];
+
+  return steps.map((step, idx) => {
+    const id = step.id || idx + 1;
+    const declared = Array.isArray(step.depends_on) ? step.depends_on.map(Number) : null;
+    const dependsOn = declared
+      ? [...new Set(declared.filter((dep) => seen.includes(dep)))]
+      : seen.slice(-1);
+    seen.push(id);
+
+    return {
+      id,
+      description: step.description || step.task || "Unknown step",
+      tools_needed: step.tools_needed || [],
+      depends_on: dependsOn,
+      status: step.status || "pending",
+    };
+  });
+}
+
+/**
+ * Steps that haven't succeeded yet and whose dependencies all have
+ * @param {Object} state - Agent state
+ * @returns {Object[]} Steps that can run now, in plan order
+ */
+export function getReadySteps(state) {
+  if (!state.plan || !state.plan.steps) return [];
+
+  const done = (id) => state.stepResults[id]?.success === true;
+  return state.plan.steps.filter(
+    (step) => !done(step.id) && (step.depends_on || []).every(done),
+  );
+}
+
+/**
+ * Steps the executor ran last (several when they ran in parallel)
+ * @param {Object} state - Agent state
+ * @returns {Object[]} Steps, falling back to the current step
+ */
+export function getActiveSteps(state) {
+  const steps = (state.activeSteps || [])
+    .map((id) => state.plan?.steps?.find((step) => step.id === id))
+    .filter(Boolean);
+
+  if (steps.length > 0) return steps;
+  const current = getCurrentStep(state);
+  return current ? [current] : [];
+}
+
 export function getCurrentStep(state) {
   if (!state.plan || !state.plan.steps) return null;
   return state.plan.steps[state.currentStep];
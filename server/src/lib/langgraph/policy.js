@@ -0,0 +1,515 @@
+// Tool Policy - allow / ask / deny decisions for tool calls, based on their arguments
+// Rules come from ~/.apex-cli/policy.json and <workspace>/.apex-cli/policy.json
+//
+// {
+//   "commands": { "allow": ["git status", "npm test"], "ask": ["git push"], "deny": ["sudo"] },
+//   "paths":    { "allow": ["src/**"], "deny": [".env", "**/*.pem"] },
+//   "tools":    { "delete_file": "deny", "write_file": "ask" }
+// }
+//
+// Command rules match parsed command prefixes ("git status" matches "git status -s");
+// { "exact": "cd web && npm test" } only matches that whole command. Path rules are globs
+// relative to the workspace root; { "path": "src/**", "tools": ["edit_file"] } limits a
+// rule to some tools. When several rules match, deny beats ask beats allow.
+//
+// The workspace file ships with the repository, so it can only add ask and deny rules.
+// "Always allow in this project" approvals go to the user file, under
+// "projects": { "<workspace root>": { ...rules } }. Changes to either file always ask.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import chalk from "chalk";
+
+import { config } from "../../config/google.config.js";
+import { createGlobMatcher, toPosix } from "./tools/walk.js";
+import { realpathLoose } from "./tools/workspace.js";
+
+const ACTIONS = ["allow", "ask", "deny"];
+const PRECEDENCE = { allow: 0, ask: 1, deny: 2 };
+
+// Read-only commands that never need a confirmation. git diff/log/show take --output=<file>
+// and git branch takes -D, so those are only allowed in these exact forms.
+const DEFAULT_POLICY = {
+  commands: {
+    allow: [
+      "ls",
+      "pwd",
+      "git status",
+      ...[
+        "git diff",
+        "git diff --stat",
+        "git diff --cached",
+        "git diff --staged",
+        "git log",
+        "git log --oneline",
+        "git show",
+        "git show --stat",
+        "git branch",
+        "git branch --list",
+        "git branch -a",
+        "git branch -r",
+        "git branch -v",
+        "git branch -vv",
+        "git branch --show-current",
+      ].map((exact) => ({ exact })),
+    ],
+    ask: [],
+    deny: ["sudo"],
+  },
+  paths: { allow: [], ask: [], deny: [] },
+  tools: {},
+};
+
+// Tools the user approved for the rest of a session: sessionId -> Set<toolName>
+const sessionApprovals = new Map();
+
+// Project policy files we already warned about ignoring allow rules in
+const warnedProjectFiles = new Set();
+
+export function getUserPolicyFile() {
+  return path.join(config.configDir, "policy.json");
+}
+
+export function getProjectPolicyFile() {
+  return path.join(config.workspace.root, ".apex-cli", "policy.json");
+}
+
+/**
+ * Load and merge the default, user and project policies. The project file can only
+ * tighten what the other layers allow.
+ * @returns {Object} { commands, paths, tools } with rule lists concatenated
+ */
+export function loadPolicy() {
+  const userPolicy = readPolicyFile(getUserPolicyFile());
+  const layers = [DEFAULT_POLICY, userPolicy, userPolicy.projects?.[config.workspace.root] || {}];
+  const project = restrictProjectPolicy(readPolicyFile(getProjectPolicyFile()));
+  const merged = { commands: {}, paths: {}, tools: {} };
+
+  for (const action of ACTIONS) {
+    merged.commands[action] = [...layers, project].flatMap((layer) => layer.commands?.[action] || []);
+    merged.paths[action] = [...layers, project].flatMap((layer) => layer.paths?.[action] || []);
+  }
+  for (const layer of layers) {
+    Object.assign(merged.tools, layer.tools || {});
+  }
+  for (const [toolName, action] of Object.entries(project.tools)) {
+    const current = merged.tools[toolName];
+    if (!ACTIONS.includes(current) || PRECEDENCE[action] > PRECEDENCE[current]) {
+      merged.tools[toolName] = action;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Decide what to do with a tool call
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object} options - { sessionId?: string } to honor "approve for this session"
+ * @returns {Object} { action: "allow"|"ask"|"deny", reason: string, always?: true } where
+ *   always means the call must be confirmed every time (no session approval)
+ */
+export function evaluateToolCall(toolName, args = {}, options = {}) {
+  const decision = evaluateRules(toolName, args);
+
+  // Neither rules nor session approvals let the agent rewrite its own policy
+  if (decision.action !== "deny" && touchesPolicyFile(toolName, args)) {
+    return { action: "ask", reason: "changes to the tool policy always need approval", always: true };
+  }
+
+  // Session approvals skip the prompt but never override a deny rule
+  if (decision.action === "ask" && sessionApprovals.get(options.sessionId)?.has(toolName)) {
+    return { action: "allow", reason: `${toolName} approved for this session` };
+  }
+
+  return decision;
+}
+
+/**
+ * Stop asking about a tool for the rest of a session (in memory only)
+ * @param {string} sessionId - Session identifier
+ * @param {string} toolName - Tool name
+ */
+export function approveToolForSession(sessionId, toolName) {
+  if (!sessionApprovals.has(sessionId)) {
+    sessionApprovals.set(sessionId, new Set());
+  }
+  sessionApprovals.get(sessionId).add(toolName);
+}
+
+/**
+ * Suggest a project rule that would auto-approve this exact call next time
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Object|null} { section: "commands"|"paths", pattern, label } or null
+ */
+export function suggestProjectRule(toolName, args = {}) {
+  if (touchesPolicyFile(toolName, args)) return null;
+
+  if (toolName === "shell_command" && typeof args.command === "string" && args.command.trim()) {
+    const command = args.command.trim();
+    return { section: "commands", pattern: { exact: command }, label: `exactly "${command}"` };
+  }
+
+  if (typeof args.filePath === "string") {
+    const relPath = toRelativePath(args.filePath);
+    return {
+      section: "paths",
+      pattern: { path: relPath, tools: [toolName] },
+      label: `${toolName} on "${relPath}"`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Add a rule for the current project. It's stored in the user policy file, keyed by the
+ * workspace root, because the workspace's own policy file can't allow anything.
+ * @param {string} section - "commands" or "paths"
+ * @param {string} action - "allow", "ask" or "deny"
+ * @param {string|Object} pattern - Command prefix or path glob, or an { exact } / { path, tools } rule
+ * @returns {string} The policy file that was written
+ */
+export function addProjectRule(section, action, pattern) {
+  const file = getUserPolicyFile();
+  const userPolicy = readPolicyFile(file);
+  userPolicy.projects = userPolicy.projects || {};
+  userPolicy.projects[config.workspace.root] = userPolicy.projects[config.workspace.root] || {};
+  const policy = userPolicy.projects[config.workspace.root];
+
+  policy[section] = policy[section] || {};
+  policy[section][action] = policy[section][action] || [];
+  if (!policy[section][action].some((rule) => JSON.stringify(rule) === JSON.stringify(pattern))) {
+    policy[section][action].push(pattern);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(userPolicy, null, 2));
+  return file;
+}
+
+function evaluateRules(toolName, args) {
+  const policy = loadPolicy();
+
+  const toolRule = policy.tools[toolName];
+  const fallback = ACTIONS.includes(toolRule)
+    ? { action: toolRule, reason: `tool rule: ${toolName} → ${toolRule}` }
+    : !config.dangerousTools.includes(toolName)
+      ? { action: "allow", reason: `${toolName} is a safe tool` }
+      : isReadOnlyCall(toolName, args)
+        ? { action: "allow", reason: `read-only ${toolName} call` }
+        : { action: "ask", reason: `${toolName} requires approval by default` };
+
+  if (fallback.action === "deny") return fallback;
+
+  if (toolName === "shell_command" && typeof args.command === "string") {
+    return evaluateCommand(args.command, policy.commands, fallback);
+  }
+
+  if (typeof args.filePath === "string") {
+    return evaluatePath(toolName, args.filePath, policy.paths, fallback);
+  }
+
+  return fallback;
+}
+
+/**
+ * Split a shell command line into simple commands (on ; && || | and newlines),
+ * each as a list of words with quotes removed and leading VAR=value dropped
+ * @param {string} command - Command line
+ * @returns {Object} { segments: string[][], opaque: boolean, redirects: boolean } where
+ *   opaque means the command uses substitutions we can't see into ($(), backticks, <())
+ *   and redirects means output is written to a file with ">"
+ */
+export function parseCommand(command) {
+  const segments = [];
+  let words = [];
+  let word = "";
+  let hasWord = false;
+  let quote = null;
+  let opaque = false;
+  let redirects = false;
+
+  const endWord = () => {
+    if (hasWord) words.push(word);
+    word = "";
+    hasWord = false;
+  };
+  const endSegment = () => {
+    endWord();
+    if (words.length > 0) segments.push(words);
+    words = [];
+  };
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+    const next = command[i + 1];
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === "\\" && quote === '"' && next) {
+        word += next;
+        i++;
+      } else {
+        if (quote === '"' && (char === "`" || (char === "$" && next === "("))) opaque = true;
+        word += char;
+      }
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      quote = char;
+      hasWord = true;
+    } else if (char === "\\" && next) {
+      word += next;
+      hasWord = true;
+      i++;
+    } else if (char === "`" || (char === "$" && next === "(") || ((char === "<" || char === ">") && next === "(")) {
+      opaque = true;
+      word += char;
+      hasWord = true;
+    } else if (char === ">" && next === "&") {
+      // fd duplication like 2>&1, not a file write
+      word += ">&";
+      hasWord = true;
+      i++;
+    } else if (char === ">" || (char === "&" && next === ">")) {
+      redirects = true;
+      word += char;
+      hasWord = true;
+    } else if (char === ";" || char === "\n" || char === "|" || (char === "&" && next === "&")) {
+      endSegment();
+      if ((char === "|" && next === "|") || (char === "&" && next === "&")) i++;
+    } else if (char === "&") {
+      endSegment();
+    } else if (/\s/.test(char)) {
+      endWord();
+    } else {
+      word += char;
+      hasWord = true;
+    }
+  }
+  endSegment();
+
+  return {
+    segments: segments.map((segment) => dropEnvAssignments(segment)).filter((segment) => segment.length > 0),
+    opaque: opaque || quote !== null,
+    redirects,
+  };
+}
+
+function evaluateCommand(command, rules, fallback) {
+  const { segments, opaque, redirects } = parseCommand(command);
+  const compiled = ACTIONS.flatMap((action) =>
+    rules[action].map((rule) => compileCommandRule(action, rule)).filter(Boolean),
+  );
+
+  // Exact rules cover the whole command line: every segment, in order
+  const whole = compiled.filter(({ exact }) => exact && sameSegments(exact, segments));
+
+  let result = null;
+
+  for (const segment of segments) {
+    const matches = compiled.filter(({ words, exact }) =>
+      words ? words.length > 0 && startsWith(segment, words) : exact.length === 1 && sameSegments(exact, [segment]),
+    );
+    for (const rule of whole) {
+      if (!matches.includes(rule)) matches.push(rule);
+    }
+
+    const decision = matches.length > 0
+      ? strongest(matches.map(({ action, label }) => ({ action, reason: `command rule: ${action} ${label}` })))
+      : fallback;
+
+    result = result ? strongest([result, decision]) : decision;
+    if (result.action === "deny") return result;
+  }
+
+  if (segments.length === 0) return fallback;
+
+  // The user approved exactly this line, substitutions and redirects included
+  if (result.action === "allow" && whole.some(({ action }) => action === "allow")) return result;
+
+  if (opaque && result.action === "allow") {
+    return { action: "ask", reason: "command uses substitutions that can't be checked against the policy" };
+  }
+  if (redirects && result.action === "allow") {
+    return { action: "ask", reason: "command writes output to a file" };
+  }
+
+  return result;
+}
+
+// "git status" is a prefix rule, { exact: "git status -s" } matches only that command
+function compileCommandRule(action, rule) {
+  if (typeof rule === "string") {
+    return { action, label: `"${rule}"`, words: parseCommand(rule).segments[0] || [] };
+  }
+  if (typeof rule?.exact === "string" && rule.exact.trim()) {
+    return { action, label: `exactly "${rule.exact.trim()}"`, exact: parseCommand(rule.exact).segments };
+  }
+  return null;
+}
+
+function evaluatePath(toolName, filePath, rules, fallback) {
+  const relPath = toRelativePath(filePath);
+
+  const matches = ACTIONS.flatMap((action) =>
+    rules[action]
+      .map((rule) => (typeof rule === "string" ? { glob: rule } : { glob: rule?.path, tools: rule?.tools }))
+      .filter(({ glob, tools }) => typeof glob === "string" && (!Array.isArray(tools) || tools.includes(toolName)))
+      .filter(({ glob }) => createGlobMatcher(glob)(relPath))
+      .map(({ glob, tools }) => ({
+        action,
+        reason: `path rule: ${action} "${glob}"${Array.isArray(tools) ? ` for ${tools.join(", ")}` : ""}`,
+      })),
+  );
+
+  return matches.length > 0 ? strongest(matches) : fallback;
+}
+
+// Keep only ask/deny rules from the workspace policy file
+function restrictProjectPolicy(policy) {
+  const restricted = { commands: {}, paths: {}, tools: {} };
+  let ignored = false;
+
+  for (const section of ["commands", "paths"]) {
+    restricted[section].ask = policy[section]?.ask || [];
+    restricted[section].deny = policy[section]?.deny || [];
+    if (policy[section]?.allow?.length) ignored = true;
+  }
+  for (const [toolName, action] of Object.entries(policy.tools || {})) {
+    if (action === "ask" || action === "deny") {
+      restricted.tools[toolName] = action;
+    } else {
+      ignored = true;
+    }
+  }
+
+  const file = getProjectPolicyFile();
+  if (ignored && !warnedProjectFiles.has(file)) {
+    warnedProjectFiles.add(file);
+    console.error(chalk.yellow(
+      `Warning: Ignoring allow rules in ${file} (project policy files can only add ask/deny rules). ` +
+        `Put trusted rules in ${getUserPolicyFile()}.`,
+    ));
+  }
+
+  return restricted;
+}
+
+/**
+ * Check whether a tool call can't change any files, judged by the built-in rules only
+ * (the user's allow rules can cover commands like "npm test" that do write files)
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {boolean} True for read-only calls such as `ls`, `git status` or listing stashes
+ */
+export function isReadOnlyToolCall(toolName, args = {}) {
+  if (toolName === "shell_command") {
+    return typeof args.command === "string" &&
+      evaluateCommand(args.command, DEFAULT_POLICY.commands, { action: "ask" }).action === "allow";
+  }
+  return isReadOnlyCall(toolName, args);
+}
+
+// Dangerous calls that could write one of the policy files
+function touchesPolicyFile(toolName, args) {
+  if (!config.dangerousTools.includes(toolName)) return false;
+
+  const policyFiles = [getUserPolicyFile(), getProjectPolicyFile()].map((file) => realpathLoose(file));
+  if (typeof args.filePath === "string") {
+    return isPolicyPath(args.filePath, policyFiles, { ancestors: true });
+  }
+  if (toolName === "shell_command" && typeof args.command === "string") {
+    return args.command.includes(".apex-cli") || args.command.includes("policy.json") ||
+      commandPathWords(args.command).some((word) => isPolicyPath(word, policyFiles, { ancestors: false }));
+  }
+  return false;
+}
+
+// Whether a path is a policy file or its folder once symlinks are resolved, or a hard
+// link to one. With `ancestors`, any directory containing a policy file counts too.
+function isPolicyPath(filePath, policyFiles, { ancestors }) {
+  const target = foldCase(realpathLoose(path.resolve(config.workspace.root, filePath)));
+
+  return policyFiles.some((policyFile) => {
+    const file = foldCase(policyFile);
+    if (target === file || target === path.dirname(file)) return true;
+    if (ancestors && file.startsWith(target + path.sep)) return true;
+    return sameFile(target, policyFile);
+  });
+}
+
+// Shell words that could name a file: "~/x", redirect targets like ">x" and values of --opt=x
+function commandPathWords(command) {
+  return parseCommand(command).segments.flat()
+    .flatMap((word) => [word.replace(/^\d*[<>&]+/, ""), word.slice(word.indexOf("=") + 1)])
+    .filter(Boolean)
+    .map((word) => word.replace(/^~(?=\/|$)/, os.homedir()));
+}
+
+// macOS and Windows file systems ignore case by default, so "Policy.JSON" is the same file
+function foldCase(filePath) {
+  return process.platform === "darwin" || process.platform === "win32" ? filePath.toLowerCase() : filePath;
+}
+
+function sameFile(a, b) {
+  try {
+    const statA = fs.statSync(a);
+    const statB = fs.statSync(b);
+    return statA.isFile() && statA.ino === statB.ino && statA.dev === statB.dev;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Calls to a dangerous tool that can't change anything
+function isReadOnlyCall(toolName, args) {
+  if (toolName === "http_request") {
+    return ["GET", "HEAD", "OPTIONS"].includes((args.method || "GET").toUpperCase());
+  }
+  if (toolName === "git_stash") {
+    return args.action === "list";
+  }
+  return false;
+}
+
+function strongest(decisions) {
+  return decisions.reduce((best, decision) =>
+    PRECEDENCE[decision.action] > PRECEDENCE[best.action] ? decision : best,
+  );
+}
+
+function sameSegments(a, b) {
+  return a.length === b.length && a.every((words, idx) => words.length === b[idx].length && startsWith(b[idx], words));
+}
+
+function startsWith(words, prefix) {
+  return prefix.every((word, idx) => words[idx] === word);
+}
+
+function toRelativePath(filePath) {
+  return toPosix(path.relative(config.workspace.root, path.resolve(config.workspace.root, filePath)));
+}
+
+function dropEnvAssignments(words) {
+  let start = 0;
+  while (start < words.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[start])) start++;
+  return words.slice(start);
+}
+
+function readPolicyFile(file) {
+  try {
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, "utf-8"));
+    }
+  } catch (error) {
+    console.error(chalk.yellow(`Warning: Could not load policy file ${file}: ${error.message}`));
+  }
+  return {};
+}
@@ -3,10 +3,30 @@ import { HumanMessage, SystemMessage } from "@langchain/core/messages";
 import chalk from "chalk";
 
 import { createReflectorLLM } from "./llm.js";
+import { invokeStructured, ReflectionSchema } from "./schemas.js";
 import { REFLECTOR_PROMPT } from "../../config/google.config.js";
-import { getCurrentStep, getProgressString, isAllStepsComplete } from "./planner.js";
+import { getCurrentStep, getActiveSteps, getProgressString, isAllStepsComplete } from "./planner.js";
 import { config } from "../../config/google.config.js";
 
+let stepCompleteHandler = null;
+
+/**
+ * Get notified when a plan step finishes successfully (used by --git-isolate to commit it)
+ * @param {Function|null} handler - async (step, result) => void
+ */
+export function setStepCompleteHandler(handler) {
+  stepCompleteHandler = handler;
+}
+
+async function notifyStepComplete(step, result) {
+  if (!stepCompleteHandler || !step || !result?.success) return;
+  try {
+    await stepCompleteHandler(step, result);
+  } catch (error) {
+    console.log(chalk.yellow(`   ⚠️ Step hook failed: ${error.message}`));
+  }
+}
+
 export async function reflectorNode(state) {
   const progress = getProgressString(state);
   console.log(chalk.magenta(`\n📍 [Reflector] Evaluating (${progress})...`));
@@ -39,6 +59,9 @@ export async function reflectorNode(state) {
 
     if (isAllStepsComplete(state)) {
       console.log(chalk.green("   ✅ All steps complete!"));
+      for (const step of getActiveSteps(state)) {
+        await notifyStepComplete(step, state.stepResults[step.id]);
+      }
       return {
         reflection: {
           assessment: "All planned steps have been completed successfully",
@@ -55,6 +78,7 @@ export async function reflectorNode(state) {
 
     if (isSimpleQuery && stepResult?.success) {
       console.log(chalk.green("   ✅ Simple query completed successfully"));
+      await notifyStepComplete(currentStep, stepResult);
       return {
         reflection: {
           assessment: "Direct response provided successfully",
@@ -65,7 +89,13 @@ export async function reflectorNode(state) {
       };
     }
 
-    if (!stepResult) {
+    // Every step the executor just ran (several after a parallel round)
+    const evaluatedSteps = getActiveSteps(state).filter((step) => state.stepResults[step.id]);
+    if (evaluatedSteps.length === 0 && stepResult) {
+      evaluatedSteps.push(currentStep);
+    }
+
+    if (evaluatedSteps.length === 0) {
 
       console.log(chalk.gray("   No result yet for current step"));
       return {
@@ -78,63 +108,54 @@ export async function reflectorNode(state) {
       };
     }
 
-    const contextPrompt = `${REFLECTOR_PROMPT}
+    const evaluatedIds = evaluatedSteps.map((step) => step.id);
+    const remainingSteps = (state.plan?.steps || []).filter(
+      (step) => !evaluatedIds.includes(step.id) && state.stepResults[step.id]?.success !== true,
+    );
 
-## Overall Goal:
-${state.plan?.goal || "Complete the user's request"}
+    const [firstStep] = evaluatedSteps;
+    const firstResult = state.stepResults[firstStep.id];
+    const stepSection = evaluatedSteps.length > 1
+      ? `## Steps Just Run in Parallel (${evaluatedSteps.length}):
+${evaluatedSteps.map((step) => describeStepResult(step, state.stepResults[step.id])).join("\n\n")}
 
-## Current Step (${state.currentStep + 1}/${state.plan?.steps?.length || 1}):
-${currentStep?.description || "Unknown step"}
+Judge them together: "retry" re-runs the failed ones (or all of them if none is marked failed).`
+      : `## Current Step (${state.plan.steps.indexOf(firstStep) + 1}/${state.plan?.steps?.length || 1}):
+${firstStep.description || "Unknown step"}
 
 ## Step Result:
-Success: ${stepResult.success}
-${stepResult.output ? `Output: ${stepResult.output}` : ""}
-${stepResult.error ? `Error: ${stepResult.error}` : ""}
+Success: ${firstResult.success}
+${firstResult.output ? `Output: ${firstResult.output}` : ""}
+${firstResult.error ? `Error: ${firstResult.error}` : ""}
 
 ## Retries Used:
-${stepResult.retries || 0} of ${config.maxRetries} max retries
-
-## Remaining Steps:
-${state.plan?.steps?.slice(state.currentStep + 1).map(s => `- ${s.description}`).join("\n") || "None"}
+${firstResult.retries || 0} of ${config.maxRetries} max retries`;
 
-Now evaluate this result and decide what to do next.`;
-
-    const llm = createReflectorLLM();
+    const contextPrompt = `${REFLECTOR_PROMPT}
 
-    const response = await llm.invoke([
-      new SystemMessage(contextPrompt),
-      new HumanMessage("Evaluate the step result and provide your decision."),
-    ]);
+## Overall Goal:
+${state.plan?.goal || "Complete the user's request"}
 
-    let reflection = null;
+${stepSection}
 
-    try {
-      reflection = JSON.parse(response.content);
-    } catch (e) {
+## Remaining Steps:
+${remainingSteps.map(s => `- ${s.description}`).join("\n") || "None"}
 
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          reflection = JSON.parse(jsonMatch[0]);
-        } catch (e2) {
+Now evaluate this result and decide what to do next.`;
 
-          reflection = {
-            assessment: stepResult.success ? "Step completed" : "Step failed",
-            success: stepResult.success,
-            decision: stepResult.success ? "continue" : "retry",
-            reasoning: "Could not parse LLM response, using default logic",
-          };
-        }
-      }
-    }
+    const llm = createReflectorLLM();
 
-    reflection = {
-      assessment: reflection?.assessment || "Unknown",
-      success: reflection?.success ?? stepResult.success,
-      decision: reflection?.decision || (stepResult.success ? "continue" : "retry"),
-      reasoning: reflection?.reasoning || "No reasoning provided",
-      modification: reflection?.modification || null,
-    };
+    // An invalid reply (even after the repair round-trip) throws and ends up as an "error" decision below
+    const parsed = await invokeStructured(
+      llm,
+      [
+        new SystemMessage(contextPrompt),
+        new HumanMessage("Evaluate the step result and provide your decision."),
+      ],
+      ReflectionSchema,
+      "reflection",
+    );
+    const reflection = { ...parsed, modification: parsed.modification || null };
 
     let stateUpdates = {
       reflection,
@@ -142,16 +163,22 @@ Now evaluate this result and decide what to do next.`;
     };
 
     switch (reflection.decision) {
-      case "continue":
+      case "continue": {
 
-        console.log(chalk.green(`   ✅ Continue → Step ${state.currentStep + 2}`));
-        stateUpdates.currentStep = state.currentStep + 1;
+        // Accepted steps count as done, so the executor moves on to whatever they unblock
+        console.log(chalk.green(`   ✅ Continue (step ${evaluatedIds.join(", ")} accepted)`));
+        stateUpdates.stepResults = Object.fromEntries(
+          evaluatedSteps.map((step) => [step.id, { ...state.stepResults[step.id], success: true }]),
+        );
         stateUpdates.error = null;
         break;
+      }
 
-      case "retry":
+      case "retry": {
 
-        const retries = stepResult.retries || 0;
+        const failedSteps = evaluatedSteps.filter((step) => !state.stepResults[step.id].success);
+        const retrySteps = failedSteps.length > 0 ? failedSteps : evaluatedSteps;
+        const retries = Math.max(...retrySteps.map((step) => state.stepResults[step.id].retries || 0));
         if (retries >= config.maxRetries) {
           console.log(chalk.red(`   ❌ Max retries reached`));
           stateUpdates.reflection = {
@@ -160,17 +187,46 @@ Now evaluate this result and decide what to do next.`;
             reasoning: "Exceeded maximum retry attempts",
           };
         } else {
-          console.log(chalk.yellow(`   🔄 Retry (${retries + 1}/${config.maxRetries})`));
-
-          stateUpdates.stepResults = {
-            [currentStep.id]: {
-              ...stepResult,
-              success: false,
-              retries: retries + 1,
-            },
+          console.log(chalk.yellow(`   🔄 Retry step ${retrySteps.map((step) => step.id).join(", ")} (${retries + 1}/${config.maxRetries})`));
+
+          stateUpdates.stepResults = Object.fromEntries(retrySteps.map((step) => {
+            const result = state.stepResults[step.id];
+            return [step.id, { ...result, success: false, retries: (result.retries || 0) + 1 }];
+          }));
+        }
+        break;
+      }
+
+      case "replan": {
+
+        // The planner keeps the finished steps and rewrites the rest
+        const replans = state.planVersions.filter((version) => version.source === "reflector").length;
+        if (replans >= config.maxReplans) {
+          console.log(chalk.red(`   ❌ Max replans reached`));
+          stateUpdates.reflection = {
+            ...reflection,
+            decision: "error",
+            reasoning: `Exceeded maximum replans: ${reflection.reasoning}`,
           };
+        } else {
+          console.log(chalk.yellow(`   🗺️ Replan (${replans + 1}/${config.maxReplans}): ${reflection.reasoning}`));
+          stateUpdates.replanReason = [
+            reflection.reasoning,
+            reflection.modification ? `Suggested change: ${reflection.modification}` : null,
+          ].filter(Boolean).join("\n");
+
+          // Unless the steps themselves were judged fine, the failed ones (or all of them if
+          // none is marked failed) are not kept as finished
+          if (!reflection.success) {
+            const failedSteps = evaluatedSteps.filter((step) => !state.stepResults[step.id].success);
+            const unfinished = failedSteps.length > 0 ? failedSteps : evaluatedSteps;
+            stateUpdates.stepResults = Object.fromEntries(
+              unfinished.map((step) => [step.id, { ...state.stepResults[step.id], success: false }]),
+            );
+          }
         }
         break;
+      }
 
       case "finish":
         console.log(chalk.green("   🎉 Finished!"));
@@ -186,6 +242,17 @@ Now evaluate this result and decide what to do next.`;
         stateUpdates.reflection.decision = "continue";
     }
 
+    if (reflection.success && ["continue", "finish"].includes(stateUpdates.reflection.decision)) {
+      for (const step of evaluatedSteps) {
+        await notifyStepComplete(step, { ...state.stepResults[step.id], success: true });
+      }
+    } else if (stateUpdates.reflection.decision === "replan") {
+      // Steps that succeeded are kept by the revised plan
+      for (const step of evaluatedSteps) {
+        await notifyStepComplete(step, stateUpdates.stepResults?.[step.id] || state.stepResults[step.id]);
+      }
+    }
+
     return stateUpdates;
 
   } catch (error) {
@@ -202,6 +269,16 @@ Now evaluate this result and decide what to do next.`;
   }
 }
 
+function describeStepResult(step, result) {
+  return [
+    `### Step ${step.id}: ${step.description}`,
+    `Success: ${result.success}`,
+    result.output ? `Output: ${result.output}` : null,
+    result.error ? `Error: ${result.error}` : null,
+    `Retries used: ${result.retries || 0} of ${config.maxRetries}`,
+  ].filter(Boolean).join("\n");
+}
+
 export function routeAfterReflector(state) {
   const decision = state.reflection?.decision;
 
@@ -211,6 +288,10 @@ export function routeAfterReflector(state) {
       console.log(chalk.gray(`🔀 Routing to: executor`));
       return "execute";
 
+    case "replan":
+      console.log(chalk.gray(`🔀 Routing to: planner`));
+      return "replan";
+
     case "finish":
     case "error":
       console.log(chalk.gray(`🔀 Routing to: end`));
@@ -0,0 +1,187 @@
+// Plan Review Helpers - Show the planner's plan and apply the user's changes to it
+// (edit, delete, move, add steps) before anything runs. Used by planReviewNode in nodes.js
+
+import chalk from "chalk";
+
+import { config } from "../../config/google.config.js";
+import { normalizeSteps } from "./planner.js";
+
+export const PLAN_REVIEW_MODES = ["auto", "always", "never"];
+
+// Placeholder id for a step added during review, until withSteps numbers it
+const ADDED_STEP = "added";
+
+/**
+ * Decide whether a plan should be shown to the user before it runs
+ * @param {Object} plan - Plan from plannerNode
+ * @param {string} mode - "auto" (only non-trivial plans), "always" or "never"
+ * @returns {boolean} True when the review checkpoint should run
+ */
+export function shouldReviewPlan(plan, mode = config.planReview) {
+  if (!plan?.steps?.length || plan.query_type === "simple" || mode === "never") return false;
+  if (mode === "always") return true;
+  return plan.estimated_complexity !== "simple" || plan.steps.length > 3;
+}
+
+/**
+ * Print the plan with step numbers and dependencies
+ * @param {Object} plan - Plan to show
+ */
+export function printPlan(plan) {
+  console.log(chalk.white(`🎯 Goal: ${plan.goal || "(none)"}`));
+  console.log();
+  plan.steps.forEach((step, idx) => {
+    const after = step.depends_on?.length > 0 ? chalk.dim(` (after ${step.depends_on.join(", ")})`) : "";
+    const tools = step.tools_needed?.length > 0 ? chalk.gray(` [${step.tools_needed.join(", ")}]`) : "";
+    if (step.status === "completed") {
+      console.log(`  ${chalk.cyan(`${idx + 1}.`)} ${chalk.green("✓")} ${chalk.dim(step.description)}`);
+      return;
+    }
+    console.log(`  ${chalk.cyan(`${idx + 1}.`)} ${step.description}${tools}${after}`);
+  });
+}
+
+export function printReviewHelp() {
+  console.log(chalk.gray("  Enter / y            Approve and run the plan"));
+  console.log(chalk.gray("  e <n> <text>         Change the text of step n"));
+  console.log(chalk.gray("  d <n>                Delete step n"));
+  console.log(chalk.gray("  m <n> <position>     Move step n to another position"));
+  console.log(chalk.gray("  a [position] <text>  Add a step (at the end, or at a position)"));
+  console.log(chalk.gray("  r <feedback>         Ask the planner for a new plan"));
+  console.log(chalk.gray("  q                    Cancel this request"));
+}
+
+/**
+ * Apply one review command
+ * @param {Object} plan - Plan being reviewed
+ * @param {string} input - What the user typed
+ * @returns {Object} { action: "approve"|"replan"|"cancel"|"edit"|"help", plan, feedback? }
+ *   or { error } when the command can't be applied
+ */
+export function applyReviewCommand(plan, input) {
+  const text = input.trim();
+  const [command, ...rest] = text.split(/\s+/);
+  const args = rest.join(" ");
+  const steps = plan.steps;
+
+  const stepIndex = (value) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 1 && number <= steps.length ? number - 1 : null;
+  };
+  // A revised plan starts with the steps that already ran; those stay where they are
+  const completed = steps.filter((step) => step.status === "completed").length;
+  const alreadyRan = (index) => `Step ${index + 1} already ran and can't be changed`;
+
+  switch ((command || "").toLowerCase()) {
+    case "":
+    case "y":
+    case "yes":
+    case "approve":
+      return { action: "approve", plan };
+
+    case "q":
+    case "quit":
+    case "cancel":
+      return { action: "cancel", plan };
+
+    case "?":
+    case "h":
+    case "help":
+      return { action: "help", plan };
+
+    case "r":
+    case "replan": {
+      if (!args) return { error: "Tell the planner what to change, e.g. r use git_log instead of reading files" };
+      return { action: "replan", plan, feedback: args };
+    }
+
+    case "e":
+    case "edit": {
+      const [number, ...words] = rest;
+      const index = stepIndex(number);
+      if (index === null) return { error: `No step ${number ?? ""}. Use e <n> <new text>` };
+      if (words.length === 0) return { error: "Give the new text, e.g. e 2 Read only src/index.js" };
+      if (index < completed) return { error: alreadyRan(index) };
+      return {
+        action: "edit",
+        plan: withSteps(plan, steps.map((step, idx) => (idx === index ? { ...step, description: words.join(" ") } : step))),
+      };
+    }
+
+    case "d":
+    case "delete": {
+      const index = stepIndex(rest[0]);
+      if (index === null) return { error: `No step ${rest[0] ?? ""}. Use d <n>` };
+      if (index < completed) return { error: alreadyRan(index) };
+      if (steps.length - completed === 1) return { error: "A plan needs at least one step; use q to cancel instead" };
+      // Steps that waited for the deleted one now wait for what it waited for
+      const removed = steps[index];
+      const remaining = steps
+        .filter((_, idx) => idx !== index)
+        .map((step) => (step.depends_on?.includes(removed.id)
+          ? { ...step, depends_on: [...step.depends_on.filter((dep) => dep !== removed.id), ...(removed.depends_on || [])] }
+          : step));
+      return { action: "edit", plan: withSteps(plan, remaining) };
+    }
+
+    case "m":
+    case "move": {
+      const from = stepIndex(rest[0]);
+      const to = stepIndex(rest[1]);
+      if (from === null || to === null) return { error: `Use m <n> <position> with numbers from 1 to ${steps.length}` };
+      if (from < completed) return { error: alreadyRan(from) };
+      if (to < completed) return { error: `The first ${completed} step(s) already ran; move it to ${completed + 1} or later` };
+      const reordered = [...steps];
+      const [moved] = reordered.splice(from, 1);
+      reordered.splice(to, 0, moved);
+      return { action: "edit", plan: withSteps(plan, keepOrderAround(reordered, to)) };
+    }
+
+    case "a":
+    case "add": {
+      const position = /^\d+$/.test(rest[0] || "") ? Number(rest[0]) : null;
+      const description = (position === null ? rest : rest.slice(1)).join(" ");
+      if (!description) return { error: "Give the step text, e.g. a Run the tests" };
+      if (position !== null && (position < completed + 1 || position > steps.length + 1)) {
+        return { error: `Position must be between ${completed + 1} and ${steps.length + 1}` };
+      }
+      const index = position === null ? steps.length : position - 1;
+      const added = [...steps];
+      added.splice(index, 0, { id: ADDED_STEP, description, tools_needed: [] });
+      return { action: "edit", plan: withSteps(plan, keepOrderAround(added, index)) };
+    }
+
+    default:
+      return { error: `Unknown command "${command}". Type ? for help` };
+  }
+}
+
+// A step placed at index runs after the step before it, and the step after it waits for it
+function keepOrderAround(steps, index) {
+  return steps.map((step, idx) => {
+    if (idx === index && idx > 0) return { ...step, depends_on: [...(step.depends_on || []), steps[idx - 1].id] };
+    if (idx === index + 1) return { ...step, depends_on: [...(step.depends_on || []), steps[index].id] };
+    return step;
+  });
+}
+
+// Renumber steps by position and keep dependencies pointing at the same steps.
+// Steps whose dependencies were all deleted or moved after them wait for the step before them
+function withSteps(plan, steps) {
+  const newIds = new Map();
+  steps.forEach((step, idx) => {
+    newIds.set(step.id, idx + 1);
+  });
+
+  const renumbered = steps.map((step, idx) => {
+    const declared = step.depends_on || [];
+    const kept = declared.map((dep) => newIds.get(dep)).filter((dep) => dep && dep <= idx);
+    return {
+      ...step,
+      id: idx + 1,
+      depends_on: declared.length > 0 && kept.length === 0 ? undefined : kept,
+    };
+  });
+
+  return { ...plan, steps: normalizeSteps(renumbered) };
+}
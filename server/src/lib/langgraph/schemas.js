@@ -0,0 +1,91 @@
+// Structured Output - zod schemas for the planner's plan and the reflector's decision,
+// and a helper that validates the model's JSON and asks it once to fix a bad reply
+
+import { AIMessage, HumanMessage } from "@langchain/core/messages";
+import chalk from "chalk";
+import { z } from "zod";
+
+export const PlanStepSchema = z.object({
+  id: z.coerce.number().int().positive().optional(),
+  description: z.string().min(1),
+  tools_needed: z.array(z.string()).default([]),
+  // Left out means "after the previous step" (see normalizeSteps)
+  depends_on: z.array(z.coerce.number().int()).optional(),
+});
+
+export const PlanSchema = z.object({
+  goal: z.string().min(1),
+  query_type: z.enum(["simple", "complex"]).default("complex"),
+  steps: z.array(PlanStepSchema).min(1),
+  estimated_complexity: z.enum(["simple", "medium", "complex"]).default("medium"),
+});
+
+export const ReflectionSchema = z.object({
+  assessment: z.string(),
+  success: z.boolean(),
+  decision: z.enum(["continue", "retry", "replan", "finish", "error"]),
+  reasoning: z.string(),
+  modification: z.string().nullable().optional(),
+});
+
+/**
+ * Invoke the model and validate its reply against a schema. An invalid reply gets one
+ * repair round-trip that shows the model what was wrong; if that fails too, this throws.
+ * @param {Object} llm - Chat model (ideally in JSON mode, see createBaseLLM's json option)
+ * @param {BaseMessage[]} messages - Prompt
+ * @param {z.ZodType} schema - Expected shape
+ * @param {string} label - What the reply is ("plan", "reflection"), for messages
+ * @returns {Promise<Object>} Parsed and validated value
+ */
+export async function invokeStructured(llm, messages, schema, label) {
+  const response = await llm.invoke(messages);
+  const first = parseStructured(messageText(response), schema);
+  if (first.data) return first.data;
+
+  console.log(chalk.yellow(`   ⚠️ The ${label} didn't match its schema, asking the model to fix it`));
+  console.log(chalk.gray(`      ${first.issues.split("\n").join("\n      ")}`));
+
+  const repaired = await llm.invoke([
+    ...messages,
+    new AIMessage(messageText(response)),
+    new HumanMessage(`Your reply is not a valid ${label}:
+${first.issues}
+
+Reply again with only the corrected JSON object.`),
+  ]);
+  const second = parseStructured(messageText(repaired), schema);
+  if (second.data) return second.data;
+
+  throw new Error(`The model returned an invalid ${label} twice. Last problems:\n${second.issues}`);
+}
+
+/**
+ * Pull a JSON object out of a reply (plain, in a ```json block, or surrounded by text)
+ * and validate it
+ * @param {string} text - Model reply
+ * @param {z.ZodType} schema - Expected shape
+ * @returns {Object} { data } or { issues } describing what's wrong
+ */
+export function parseStructured(text, schema) {
+  const cleaned = text.replace(/```(?:json)?/gi, "").trim();
+  const start = cleaned.indexOf("{");
+  const end = cleaned.lastIndexOf("}");
+  if (start === -1 || end < start) {
+    return { issues: "The reply contains no JSON object." };
+  }
+
+  let value;
+  try {
+    value = JSON.parse(cleaned.slice(start, end + 1));
+  } catch (error) {
+    return { issues: `The JSON doesn't parse: ${error.message}` };
+  }
+
+  const result = schema.safeParse(value);
+  return result.success ? { data: result.data } : { issues: z.prettifyError(result.error) };
+}
+
+function messageText(message) {
+  if (typeof message.content === "string") return message.content;
+  return (message.content || []).map((part) => part.text || "").join("");
+}
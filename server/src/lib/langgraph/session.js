@@ -11,6 +11,7 @@ import {
   buildSimpleChatGraph,
 } from "./graph.js";
 import { createInitialState } from "./state.js";
+import { getCheckpointStore, isValidSessionId } from "./checkpoints.js";
 import { config } from "../../config/google.config.js";
 
 // Import memory module
@@ -136,6 +137,7 @@ export class AgentSession {
         response,
         iterations: result.iterations,
         plan: result.plan,
+        planVersions: result.planVersions,
         stepResults: result.stepResults,
         error: result.error,
       };
@@ -265,6 +267,7 @@ export class AgentSession {
         mode: this.mode,
         savedAt: new Date().toISOString(),
         plan: state.plan,
+        planVersions: state.planVersions,
         currentStep: state.currentStep,
         stepResults: state.stepResults,
         iterations: state.iterations,
@@ -331,6 +334,32 @@ export class AgentSession {
     };
   }
 
+  /**
+   * Undo the most recent file change made by a tool in this session
+   * @returns {Object|null} { step, tool, restored } or null if nothing to undo
+   */
+  undo() {
+    return getCheckpointStore(this.sessionId).undoLast();
+  }
+
+  /**
+   * List the file-change checkpoints recorded for this session
+   * @returns {Object[]} Checkpoint steps, oldest first
+   */
+  listCheckpoints() {
+    return getCheckpointStore(this.sessionId).listSteps();
+  }
+
+  /**
+   * Restore a session's files to how they were after checkpoint step N
+   * @param {string} sessionId - Session identifier
+   * @param {number} toStep - Step to keep (0 = undo everything)
+   * @returns {Object[]} Undone steps, newest first
+   */
+  static revert(sessionId, toStep = 0) {
+    return getCheckpointStore(sessionId).revertTo(toStep);
+  }
+
   static async listSessions() {
     try {
       if (!fs.existsSync(config.sessionsDir)) {
@@ -353,6 +382,10 @@ export class AgentSession {
       if (fs.existsSync(filePath)) {
         fs.unlinkSync(filePath);
       }
+      // and its checkpoints (sessions/<id>/checkpoints); the id must be a plain name
+      if (isValidSessionId(sessionId)) {
+        fs.rmSync(path.join(config.sessionsDir, sessionId), { recursive: true, force: true });
+      }
 
       // Delete from database
       await conversationStore.deleteConversation(sessionId);
@@ -2,6 +2,16 @@
 import { Annotation } from "@langchain/langgraph";
 import { BaseMessage } from "@langchain/core/messages";
 
+// Merge entries by step id; null clears everything and a null entry drops that step
+function mergeByStep(current, updates) {
+  if (updates === null) return {};
+  const merged = { ...current, ...updates };
+  for (const id of Object.keys(merged)) {
+    if (merged[id] === null) delete merged[id];
+  }
+  return merged;
+}
+
 export const AgentState = Annotation.Root({
 
   messages: Annotation({
@@ -19,11 +29,48 @@ export const AgentState = Annotation.Root({
     default: () => 0,
   }),
 
+  // Merged per step id; null clears them (a new plan starts from scratch) and a null
+  // entry drops that step's result (a revised plan renumbers the steps it keeps)
   stepResults: Annotation({
-    reducer: (current, newResults) => ({ ...current, ...newResults }),
+    reducer: mergeByStep,
+    default: () => ({}),
+  }),
+
+  // The executor's tool loop for steps that paused for approval: { messages, rounds } per step id
+  stepTranscripts: Annotation({
+    reducer: mergeByStep,
     default: () => ({}),
   }),
 
+  // Ids of the steps the executor ran last (more than one when they ran in parallel)
+  activeSteps: Annotation({
+    reducer: (_, newSteps) => newSteps,
+    default: () => [],
+  }),
+
+  // Plan review: "approve", "replan" or "cancel", plus the user's feedback for a re-plan
+  planReviewAction: Annotation({
+    reducer: (_, newAction) => newAction,
+    default: () => null,
+  }),
+
+  planFeedback: Annotation({
+    reducer: (_, newFeedback) => newFeedback,
+    default: () => null,
+  }),
+
+  // Why the reflector sent the graph back to the planner
+  replanReason: Annotation({
+    reducer: (_, newReason) => newReason,
+    default: () => null,
+  }),
+
+  // Every plan made for the current request: [{ version, source, reason, steps }]
+  planVersions: Annotation({
+    reducer: (_, newVersions) => newVersions,
+    default: () => [],
+  }),
+
   reflection: Annotation({
     reducer: (_, newReflection) => newReflection,
     default: () => null,
@@ -73,6 +120,12 @@ export function createInitialState(mode = "agent", sessionId = null) {
     plan: null,
     currentStep: 0,
     stepResults: {},
+    stepTranscripts: {},
+    activeSteps: [],
+    planReviewAction: null,
+    planFeedback: null,
+    replanReason: null,
+    planVersions: [],
     reflection: null,
     pendingToolCall: null,
     toolApproved: null,
@@ -3,48 +3,112 @@ import { tool } from "@langchain/core/tools";
 import { z } from "zod";
 import fs from "fs";
 import path from "path";
-import { exec } from "child_process";
-import { promisify } from "util";
 
 import { config } from "../../config/google.config.js";
+import { resolveWorkspacePath } from "./tools/workspace.js";
+import { applyEdits } from "./tools/edits.js";
+import { readFileContent, describeBinaryFile, formatNumberedLines, formatBytes } from "./tools/files.js";
+import { walkFiles, createGlobMatcher, toPosix } from "./tools/walk.js";
+import { grepFiles } from "./tools/grep.js";
+import { checkSyntax, formatSyntaxError } from "./tools/syntax.js";
+import { runShellCommand } from "./tools/shell.js";
+import { runCodeSnippet, SUPPORTED_LANGUAGES } from "./tools/sandbox.js";
+import { detectTestFramework, runTests, TEST_FRAMEWORKS } from "./tools/tests.js";
+import { runChecker, CODE_CHECKERS } from "./tools/diagnostics.js";
+import { runGit, getStatus, getDiff, getLog, getBlame, checkRevision, checkBranchName } from "./tools/git.js";
+import { sendHttpRequest } from "./tools/http.js";
+import { fetchPage } from "./tools/webpage.js";
+import { searchWeb } from "./tools/search.js";
+import { calculate } from "./tools/calculator.js";
+import { evaluateToolCall } from "./policy.js";
 
-const execAsync = promisify(exec);
+const WEB_FETCH_CHARS = 8000;
+const MAX_WEB_FETCH_CHARS = 30000;
 
 export const readFileTool = tool(
-  async ({ filePath }) => {
+  async ({ filePath, startLine, endLine }) => {
     try {
 
-      const resolvedPath = path.resolve(filePath);
+      const resolvedPath = resolveWorkspacePath(filePath);
 
       if (!fs.existsSync(resolvedPath)) {
         return `Error: File not found: ${filePath}`;
       }
 
-      const content = fs.readFileSync(resolvedPath, "utf-8");
+      const { binary, buffer, text } = readFileContent(resolvedPath);
+      if (binary) {
+        return describeBinaryFile(filePath, buffer);
+      }
+
+      if (text.length === 0) {
+        return `(${filePath} is empty)`;
+      }
+
+      const lines = text.split("\n");
+      if (lines[lines.length - 1] === "") {
+        lines.pop();
+      }
+      const totalLines = lines.length;
+
+      const first = Math.max(1, startLine || 1);
+      const last = Math.min(totalLines, endLine || totalLines);
+
+      if (first > totalLines) {
+        return `Error: startLine ${first} is past the end of ${filePath} (${totalLines} lines)`;
+      }
+      if (last < first) {
+        return `Error: endLine ${last} is before startLine ${first}`;
+      }
 
       const maxLength = 10000;
-      if (content.length > maxLength) {
-        return `${content.slice(0, maxLength)}\n\n... [File truncated, showing first ${maxLength} characters]`;
+      const maxLineLength = 2000;
+      const selected = [];
+      let length = 0;
+
+      for (let lineNo = first; lineNo <= last; lineNo++) {
+        let line = lines[lineNo - 1];
+        if (line.length > maxLineLength) {
+          line = `${line.slice(0, maxLineLength)} ... [line truncated, ${line.length} characters]`;
+        }
+        if (selected.length > 0 && length + line.length > maxLength) break;
+        selected.push(line);
+        length += line.length + 1;
+      }
+
+      const shownEnd = first + selected.length - 1;
+      let marker = `[lines ${first}–${shownEnd} of ${totalLines}]`;
+      if (shownEnd < totalLines) {
+        marker = `[lines ${first}–${shownEnd} of ${totalLines}. Call read_file with startLine=${shownEnd + 1} to read more.]`;
       }
 
-      return content;
+      return `${formatNumberedLines(selected, first, totalLines)}\n\n${marker}`;
     } catch (error) {
       return `Error reading file: ${error.message}`;
     }
   },
   {
     name: "read_file",
-    description: "Read the contents of a file. Use this to see what's in existing files.",
+    description:
+      "Read the contents of a file, with line numbers. Large files are returned a page at a time; " +
+      "use startLine/endLine to read a specific range or the next page.",
     schema: z.object({
       filePath: z.string().describe("Path to the file to read (relative or absolute)"),
+      startLine: z.number().int().optional().describe("First line to read (1-based, default 1)"),
+      endLine: z.number().int().optional().describe("Last line to read (inclusive, default end of file)"),
     }),
   }
 );
 
 export const writeFileTool = tool(
-  async ({ filePath, content }) => {
+  async ({ filePath, content, force }) => {
     try {
-      const resolvedPath = path.resolve(filePath);
+      const resolvedPath = resolveWorkspacePath(filePath);
+
+      const syntaxError = force ? null : checkSyntax(filePath, content);
+      if (syntaxError) {
+        return `Error: ${formatSyntaxError(filePath, content, syntaxError)}\n\n` +
+          "The file was not written. Fix the content and call write_file again, or pass force: true if the content is intentionally invalid.";
+      }
 
       const dir = path.dirname(resolvedPath);
       if (!fs.existsSync(dir)) {
@@ -60,10 +124,55 @@ export const writeFileTool = tool(
   },
   {
     name: "write_file",
-    description: "Create a new file or overwrite an existing file with the given content.",
+    description:
+      "Create a new file or overwrite an existing file with the given content. To change part of an existing file, use edit_file instead. " +
+      "JavaScript, TypeScript, JSON and YAML content is parsed first and rejected with the error location if it doesn't parse.",
     schema: z.object({
       filePath: z.string().describe("Path where the file should be created/written"),
       content: z.string().describe("The content to write to the file"),
+      force: z.boolean().optional().describe("Write even if the content has syntax errors"),
+    }),
+  }
+);
+
+export const editFileTool = tool(
+  async ({ filePath, edits }) => {
+    try {
+      const resolvedPath = resolveWorkspacePath(filePath);
+
+      if (!fs.existsSync(resolvedPath)) {
+        return `Error: File not found: ${filePath}. Use write_file to create new files.`;
+      }
+
+      const original = fs.readFileSync(resolvedPath, "utf-8");
+      const updated = applyEdits(original, edits);
+
+      fs.writeFileSync(resolvedPath, updated, "utf-8");
+
+      return `Successfully applied ${edits.length} edit(s) to ${filePath}`;
+    } catch (error) {
+      return `Error editing file: ${error.message}`;
+    }
+  },
+  {
+    name: "edit_file",
+    description:
+      "Change part of an existing file without rewriting it. Each edit either replaces an exact 'search' block " +
+      "(must match exactly once) or replaces lines startLine-endLine. Prefer this over write_file for existing files.",
+    schema: z.object({
+      filePath: z.string().describe("Path to the file to edit"),
+      edits: z
+        .array(
+          z.object({
+            search: z.string().optional().describe("Exact text to find, including whitespace. Must be unique in the file"),
+            replace: z.string().describe("Text to put in place of the search block or line range"),
+            startLine: z.number().int().optional().describe("First line to replace (1-based), instead of search"),
+            endLine: z.number().int().optional().describe("Last line to replace (inclusive, defaults to startLine)"),
+            replaceAll: z.boolean().optional().describe("Replace every occurrence of the search block"),
+          })
+        )
+        .min(1)
+        .describe("Edits to apply; all line numbers refer to the file before any edit"),
     }),
   }
 );
@@ -71,7 +180,7 @@ export const writeFileTool = tool(
 export const listDirectoryTool = tool(
   async ({ dirPath }) => {
     try {
-      const resolvedPath = path.resolve(dirPath || ".");
+      const resolvedPath = resolveWorkspacePath(dirPath || ".");
 
       if (!fs.existsSync(resolvedPath)) {
         return `Error: Directory not found: ${dirPath}`;
@@ -101,7 +210,7 @@ export const listDirectoryTool = tool(
 export const deleteFileTool = tool(
   async ({ filePath }) => {
     try {
-      const resolvedPath = path.resolve(filePath);
+      const resolvedPath = resolveWorkspacePath(filePath);
 
       if (!fs.existsSync(resolvedPath)) {
         return `Error: File not found: ${filePath}`;
@@ -123,88 +232,323 @@ export const deleteFileTool = tool(
 );
 
 export const shellCommandTool = tool(
-  async ({ command, cwd }) => {
+  async ({ command, cwd, timeoutSeconds }) => {
     try {
 
-      const workingDir = cwd ? path.resolve(cwd) : process.cwd();
+      const workingDir = resolveWorkspacePath(cwd || ".");
+      const timeout = Math.min(
+        Math.max(timeoutSeconds || config.shell.defaultTimeoutSeconds, 1),
+        config.shell.maxTimeoutSeconds,
+      );
 
-      const { stdout, stderr } = await execAsync(command, {
+      const result = await runShellCommand(command, {
         cwd: workingDir,
-        timeout: 60000,
-        maxBuffer: 1024 * 1024,
+        timeoutMs: timeout * 1000,
       });
 
-      let result = "";
-      if (stdout) result += `stdout:\n${stdout}`;
-      if (stderr) result += `\nstderr:\n${stderr}`;
+      if (result.error) {
+        return `Error executing command: ${result.error}`;
+      }
+
+      let status = `Exit code: ${result.exitCode ?? "none"}`;
+      if (result.cancelled) {
+        status = "Command was cancelled by the user (Ctrl+C) and killed";
+      } else if (result.timedOut) {
+        status = `Command timed out after ${timeout}s and was killed. Pass a larger timeoutSeconds if it needs longer`;
+      } else if (result.signal) {
+        status += ` (terminated by ${result.signal})`;
+      }
 
-      if (result.length > 5000) {
-        result = result.slice(0, 5000) + "\n... [Output truncated]";
+      let output = `${status} (${(result.durationMs / 1000).toFixed(1)}s)`;
+      const unenforced = ["cpuSeconds", "memoryMb"].filter((name) => result.limits[name] === null);
+      if (unenforced.length > 0) {
+        const names = unenforced.map((name) => (name === "cpuSeconds" ? "CPU" : "memory")).join(" and ");
+        output += `\n(No ${names} limit on this platform; the ${timeoutSeconds}s time limit still applied)`;
       }
+      if (result.stdout) output += `\n\nstdout:\n${result.stdout.trimEnd()}`;
+      if (result.stderr) output += `\n\nstderr:\n${result.stderr.trimEnd()}`;
+      if (!result.stdout && !result.stderr) output += "\n(no output)";
 
-      return result || "Command executed successfully (no output)";
+      return output;
     } catch (error) {
       return `Error executing command: ${error.message}`;
     }
   },
   {
     name: "shell_command",
-    description: "Execute a shell/terminal command. Use for running scripts, installing packages, etc.",
+    description:
+      "Execute a shell/terminal command. Use for running scripts, installing packages, etc. " +
+      "Returns the exit code plus the beginning and end of stdout/stderr.",
     schema: z.object({
       command: z.string().describe("The command to execute"),
       cwd: z.string().optional().describe("Working directory for the command"),
+      timeoutSeconds: z.number().int().optional().describe("Kill the command after this many seconds (default 60)"),
     }),
   }
 );
 
-export const searchFilesTool = tool(
-  async ({ pattern, directory }) => {
+export const executeCodeTool = tool(
+  async ({ code, language }) => {
     try {
-      const searchDir = path.resolve(directory || ".");
+      const { timeoutSeconds, cpuSeconds, memoryMb } = config.codeExecution;
+      const result = await runCodeSnippet(code, language, {
+        timeoutMs: timeoutSeconds * 1000,
+        cpuSeconds,
+        memoryMb,
+      });
 
-      if (!fs.existsSync(searchDir)) {
+      if (result.error) {
+        return `Error executing code: ${result.error}`;
+      }
+
+      let status = `Exit code: ${result.exitCode ?? "none"}`;
+      if (result.cancelled) {
+        status = "Execution was cancelled by the user (Ctrl+C)";
+      } else if (result.timedOut) {
+        status = `Execution timed out after ${timeoutSeconds}s and was killed`;
+      } else if (result.signal === "SIGXCPU" || result.signal === "SIGKILL") {
+        status = `Killed by ${result.signal}: the snippet hit the ${cpuSeconds}s CPU time limit`;
+      } else if (/heap out of memory|MemoryError|Array buffer allocation failed|Cannot allocate memory/.test(result.stderr)) {
+        status += ` (the snippet ran out of memory; the limit is ${memoryMb} MB)`;
+      } else if (result.signal) {
+        status += ` (terminated by ${result.signal})`;
+      }
+
+      let output = `${status} (${(result.durationMs / 1000).toFixed(1)}s)`;
+      const unenforced = ["cpuSeconds", "memoryMb"].filter((name) => result.limits[name] === null);
+      if (unenforced.length > 0) {
+        const names = unenforced.map((name) => (name === "cpuSeconds" ? "CPU" : "memory")).join(" and ");
+        output += `\n(No ${names} limit on this platform; the ${timeoutSeconds}s time limit still applied)`;
+      }
+      if (result.stdout) output += `\n\nstdout:\n${result.stdout.trimEnd()}`;
+      if (result.stderr) output += `\n\nstderr:\n${result.stderr.trimEnd()}`;
+      if (!result.stdout && !result.stderr) output += "\n(no output)";
+
+      return output;
+    } catch (error) {
+      return `Error executing code: ${error.message}`;
+    }
+  },
+  {
+    name: "execute_code",
+    description:
+      "Run a JavaScript (Node.js, ES module) or Python snippet in a throwaway temp directory with CPU, memory " +
+      "and time limits (CPU and memory limits where the OS supports them) and no access to environment secrets. " +
+      "Print results to stdout. " +
+      "Use it for quick experiments; it cannot see workspace-relative paths.",
+    schema: z.object({
+      code: z.string().describe("Source code to run"),
+      language: z.enum(SUPPORTED_LANGUAGES).describe("Programming language"),
+    }),
+  }
+);
+
+export const runTestsTool = tool(
+  async ({ files, testNamePattern, framework, directory, timeoutSeconds }) => {
+    try {
+      const projectDir = resolveWorkspacePath(directory || ".");
+      if (!fs.existsSync(projectDir)) {
         return `Error: Directory not found: ${directory}`;
       }
 
-      const matches = [];
+      let detected = framework ? { framework, reason: "requested" } : detectTestFramework(projectDir);
+      if (!detected) {
+        return "Error: Could not detect a test framework (no package.json or pytest configuration). Pass framework explicitly";
+      }
 
-      function searchRecursive(dir, depth = 0) {
-        if (depth > 5) return;
+      const timeout = Math.min(
+        Math.max(timeoutSeconds || config.tests.defaultTimeoutSeconds, 1),
+        config.shell.maxTimeoutSeconds,
+      );
+      const result = await runTests(projectDir, {
+        framework: detected.framework,
+        files: (files || []).map((file) => toPosix(path.relative(projectDir, resolveWorkspacePath(file)))),
+        namePattern: testNamePattern,
+        timeoutMs: timeout * 1000,
+      });
 
-        try {
-          const items = fs.readdirSync(dir, { withFileTypes: true });
+      if (result.error) {
+        return `Error running tests: ${result.error}`;
+      }
 
-          for (const item of items) {
-            const fullPath = path.join(dir, item.name);
+      let output = `Framework: ${result.framework} (${detected.reason})\nCommand: ${result.command}`;
+      if (result.cancelled) {
+        output += "\n\nTest run was cancelled by the user (Ctrl+C)";
+      } else if (result.timedOut) {
+        output += `\n\nTest run timed out after ${timeout}s and was killed. Run a subset or pass a larger timeoutSeconds`;
+      }
+
+      // No parsable report: show how the run ended instead
+      if (!result.summary) {
+        output += `\n\nExit code: ${result.exitCode ?? "none"}. Could not read the test report; raw output:`;
+        output += `\n${result.output || "(no output)"}`;
+        return output;
+      }
 
-            if (item.name.startsWith(".") || item.name === "node_modules") {
-              continue;
-            }
+      const { passed, failed, skipped, total } = result.summary;
+      output += `\n\n${failed > 0 ? "FAILED" : "PASSED"}: ${passed} passed, ${failed} failed, ${skipped} skipped ` +
+        `(${total} total, ${(result.durationMs / 1000).toFixed(1)}s)`;
 
-            const regex = new RegExp(pattern.replace("*", ".*"), "i");
-            if (regex.test(item.name)) {
-              matches.push(fullPath);
-            }
+      result.failures.forEach((failure, index) => {
+        output += `\n\n${index + 1}. ${failure.name}`;
+        if (failure.location) output += `\n   at ${failure.location}`;
+        output += `\n   ${failure.message.split("\n").join("\n   ")}`;
+        if (failure.stack) output += `\n   Stack:\n     ${failure.stack.split("\n").join("\n     ")}`;
+      });
 
-            if (item.isDirectory()) {
-              searchRecursive(fullPath, depth + 1);
-            }
-          }
-        } catch (e) {
+      if (failed > 0 && result.failures.length === 0) {
+        output += `\n\nNo failure details in the report; output:\n${result.output}`;
+      }
 
+      return output;
+    } catch (error) {
+      return `Error running tests: ${error.message}`;
+    }
+  },
+  {
+    name: "run_tests",
+    description:
+      "Run the project's tests and get pass/fail counts plus each failure's name, file:line, assertion message and " +
+      "trimmed stack. Detects node:test, Jest, Vitest, Mocha or pytest from package.json and config files. " +
+      "Pass files and/or testNamePattern to run a subset.",
+    schema: z.object({
+      files: z.array(z.string()).optional().describe("Test files to run (default: the whole suite)"),
+      testNamePattern: z.string().optional().describe("Only run tests whose name matches this pattern"),
+      framework: z.enum(TEST_FRAMEWORKS).optional().describe("Override the detected framework"),
+      directory: z.string().optional().describe("Project directory (default: workspace root)"),
+      timeoutSeconds: z.number().int().optional().describe("Kill the run after this many seconds (default 300)"),
+    }),
+  }
+);
+
+const MAX_DIAGNOSTICS = 100;
+
+export const checkCodeTool = tool(
+  async ({ files, checkers, directory, timeoutSeconds }) => {
+    try {
+      const projectDir = resolveWorkspacePath(directory || ".");
+      if (!fs.existsSync(projectDir)) {
+        return `Error: Directory not found: ${directory}`;
+      }
+
+      const timeout = Math.min(
+        Math.max(timeoutSeconds || config.tests.defaultTimeoutSeconds, 1),
+        config.shell.maxTimeoutSeconds,
+      );
+      const relativeFiles = (files || []).map((file) => toPosix(path.relative(projectDir, resolveWorkspacePath(file))));
+
+      const results = [];
+      for (const checker of checkers?.length ? checkers : CODE_CHECKERS) {
+        results.push(await runChecker(projectDir, checker, { files: relativeFiles, timeoutMs: timeout * 1000 }));
+      }
+
+      // Counts first: step results are truncated, and the reflector judges success from them
+      const summary = results.map((result) => {
+        if (result.skipped) return `${result.checker}: skipped`;
+        if (!result.diagnostics) return `${result.checker}: failed to run`;
+        return `${result.checker}: ${result.errors} error(s), ${result.warnings} warning(s)`;
+      });
+      let output = summary.join(" | ");
+
+      for (const result of results) {
+        output += `\n\n${result.checker}`;
+        if (result.skipped) {
+          output += ` (skipped: ${result.skipped})`;
+          continue;
+        }
+        output += ` - ${result.command}`;
+
+        if (result.error || result.cancelled || result.timedOut || !result.diagnostics) {
+          const reason = result.error || (result.cancelled ? "cancelled by the user (Ctrl+C)"
+            : result.timedOut ? `timed out after ${timeout}s` : `exit code ${result.exitCode ?? "none"}, no report`);
+          output += `\n  Failed: ${reason}`;
+          if (result.output) output += `\n${result.output}`;
+          continue;
+        }
+
+        if (result.diagnostics.length === 0) {
+          output += "\n  No problems";
+          continue;
+        }
+
+        const sorted = [...result.diagnostics].sort((a, b) =>
+          (a.severity === b.severity ? 0 : a.severity === "error" ? -1 : 1) ||
+          a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+
+        for (const diagnostic of sorted.slice(0, MAX_DIAGNOSTICS)) {
+          const location = diagnostic.file ? `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}` : "(project)";
+          const rule = diagnostic.rule ? ` [${diagnostic.rule}]` : "";
+          output += `\n  ${location} ${diagnostic.severity}: ${diagnostic.message.split("\n").join("\n    ")}${rule}`;
         }
+        if (sorted.length > MAX_DIAGNOSTICS) {
+          output += `\n  ... ${sorted.length - MAX_DIAGNOSTICS} more. Pass files to narrow the check.`;
+        }
+      }
+
+      return output;
+    } catch (error) {
+      return `Error checking code: ${error.message}`;
+    }
+  },
+  {
+    name: "check_code",
+    description:
+      "Lint and type-check with the project's own ESLint and TypeScript (tsc --noEmit) from node_modules. " +
+      "Returns error/warning counts and diagnostics as file:line:column severity: message [rule]. " +
+      "Run it after editing code and fix the errors it reports.",
+    schema: z.object({
+      files: z.array(z.string()).optional().describe("Files or directories to lint (default: the whole project; tsc always checks the project)"),
+      checkers: z.array(z.enum(CODE_CHECKERS)).optional().describe("Which checkers to run (default: all available)"),
+      directory: z.string().optional().describe("Project directory (default: workspace root)"),
+      timeoutSeconds: z.number().int().optional().describe("Kill each checker after this many seconds (default 300)"),
+    }),
+  }
+);
+
+export const searchFilesTool = tool(
+  async ({ pattern, directory, maxDepth, maxResults, caseSensitive, includeIgnored }) => {
+    try {
+      const searchDir = resolveWorkspacePath(directory || ".");
+
+      if (!fs.existsSync(searchDir)) {
+        return `Error: Directory not found: ${directory}`;
       }
 
-      searchRecursive(searchDir);
+      const isMatch = createGlobMatcher(pattern, { nocase: !caseSensitive });
+      const matches = [];
+
+      const entries = walkFiles(searchDir, {
+        respectIgnore: !includeIgnored,
+        maxDepth: maxDepth ?? Infinity,
+        includeDirs: true,
+        baseDir: config.workspace.root,
+      });
+
+      for (const { fullPath, relPath, dirent } of entries) {
+        const searchRelPath = toPosix(path.relative(searchDir, fullPath));
+        if (!isMatch(searchRelPath)) continue;
+
+        const stats = fs.statSync(fullPath);
+        matches.push({ relPath, isDir: dirent.isDirectory(), size: stats.size, mtime: stats.mtime });
+      }
 
       if (matches.length === 0) {
         return `No files found matching "${pattern}" in ${searchDir}`;
       }
 
-      const limited = matches.slice(0, 50);
-      let result = `Found ${matches.length} matches:\n${limited.join("\n")}`;
-      if (matches.length > 50) {
-        result += `\n... and ${matches.length - 50} more`;
+      matches.sort((a, b) => a.relPath.localeCompare(b.relPath));
+
+      const limit = Math.min(Math.max(maxResults || 100, 1), 1000);
+      const formatted = matches.slice(0, limit).map((match) => {
+        const modified = match.mtime.toISOString().slice(0, 16).replace("T", " ");
+        return match.isDir
+          ? `📁 ${match.relPath}/  (modified ${modified})`
+          : `📄 ${match.relPath}  (${formatBytes(match.size)}, modified ${modified})`;
+      });
+
+      let result = `Found ${matches.length} matches for "${pattern}":\n${formatted.join("\n")}`;
+      if (matches.length > limit) {
+        result += `\n... and ${matches.length - limit} more (narrow the pattern or raise maxResults)`;
       }
 
       return result;
@@ -214,23 +558,321 @@ export const searchFilesTool = tool(
   },
   {
     name: "search_files",
-    description: "Search for files matching a pattern. Use * as wildcard. Example: '*.js' finds all JavaScript files.",
+    description:
+      "Find files and folders by name using glob patterns. '*.js' matches at any depth, 'src/**/*.test.js' " +
+      "matches paths, '*.{ts,tsx}' uses brace expansion. Skips files in .gitignore/.apexignore. Results are sorted with sizes and modified times.",
     schema: z.object({
-      pattern: z.string().describe("Pattern to search for (e.g., '*.js', 'config*')"),
-      directory: z.string().optional().describe("Directory to search in (default: current directory)"),
+      pattern: z.string().describe("Glob pattern (e.g., '*.js', 'config*', 'src/**/*.test.js', '**/*.{ts,tsx}')"),
+      directory: z.string().optional().describe("Directory to search in (default: workspace root)"),
+      maxDepth: z.number().int().optional().describe("How many directory levels to descend (default: unlimited)"),
+      maxResults: z.number().int().optional().describe("Maximum results to list (default 100)"),
+      caseSensitive: z.boolean().optional().describe("Match case exactly (default: case-insensitive)"),
+      includeIgnored: z.boolean().optional().describe("Also list files ignored by .gitignore/.apexignore"),
     }),
   }
 );
 
-export const calculatorTool = tool(
-  async ({ expression }) => {
+export const grepFilesTool = tool(
+  async ({ pattern, directory, literal, ignoreCase, include, exclude, contextLines, maxMatches, includeIgnored }) => {
+    try {
+      const searchDir = resolveWorkspacePath(directory || ".");
+
+      if (!fs.existsSync(searchDir)) {
+        return `Error: Directory not found: ${directory}`;
+      }
+
+      const result = grepFiles(searchDir, {
+        pattern,
+        literal,
+        ignoreCase,
+        include,
+        exclude,
+        contextLines: Math.min(Math.max(contextLines || 0, 0), 10),
+        maxMatches: Math.min(Math.max(maxMatches || 100, 1), 500),
+        respectIgnore: !includeIgnored,
+        baseDir: config.workspace.root,
+      });
+
+      if (result.matches === 0) {
+        return `No matches for "${pattern}" in ${result.filesSearched} files under ${searchDir}`;
+      }
+
+      let summary = `Found ${result.matches} matches in ${result.filesWithMatches} files (searched ${result.filesSearched} files)`;
+      if (result.truncated) {
+        summary += `. Stopped at ${result.matches} matches; narrow the pattern or use include/exclude to see the rest`;
+      }
+
+      return `${summary}:\n${result.output}`;
+    } catch (error) {
+      return `Error searching file contents: ${error.message}`;
+    }
+  },
+  {
+    name: "grep_files",
+    description:
+      "Search inside files for a regex or literal string. Returns file:line:text for each match. " +
+      "Skips binary files and anything in .gitignore. Use this to find where code is defined or used.",
+    schema: z.object({
+      pattern: z.string().describe("Regular expression (JavaScript syntax) or, with literal=true, exact text"),
+      directory: z.string().optional().describe("Directory to search in (default: workspace root)"),
+      literal: z.boolean().optional().describe("Treat pattern as plain text instead of a regex"),
+      ignoreCase: z.boolean().optional().describe("Case-insensitive search"),
+      include: z.array(z.string()).optional().describe("Only search files matching these globs, e.g. ['*.js', 'src/**']"),
+      exclude: z.array(z.string()).optional().describe("Skip files matching these globs, e.g. ['*.test.js']"),
+      contextLines: z.number().int().optional().describe("Lines of context before and after each match (0-10)"),
+      maxMatches: z.number().int().optional().describe("Stop after this many matches (default 100)"),
+      includeIgnored: z.boolean().optional().describe("Also search files ignored by .gitignore"),
+    }),
+  }
+);
+
+const repoPathSchema = z.string().optional().describe("Directory inside the repository (default: workspace root)");
+
+export const gitStatusTool = tool(
+  async ({ repoPath }) => {
+    try {
+      const status = await getStatus(resolveWorkspacePath(repoPath || "."));
+
+      let output = `Branch: ${status.branch || "(unknown)"}`;
+      if (status.upstream) {
+        output += ` → ${status.upstream} (ahead ${status.ahead}, behind ${status.behind})`;
+      }
+
+      const sections = [
+        ["Conflicts", status.conflicts],
+        ["Staged", status.staged],
+        ["Unstaged", status.unstaged],
+        ["Untracked", status.untracked],
+      ];
+      for (const [title, files] of sections) {
+        if (files.length === 0) continue;
+        const lines = files.map((file) => `  ${file.status} ${file.from ? `${file.from} → ` : ""}${file.path}`);
+        output += `\n\n${title} (${files.length}):\n${lines.join("\n")}`;
+      }
+
+      if (sections.every(([, files]) => files.length === 0)) {
+        output += "\n\nWorking tree clean";
+      }
+
+      return output;
+    } catch (error) {
+      return `Error running git status: ${error.message}`;
+    }
+  },
+  {
+    name: "git_status",
+    description: "Show the current branch, its upstream, and staged/unstaged/untracked/conflicted files (M=modified, A=added, D=deleted, R=renamed).",
+    schema: z.object({
+      repoPath: repoPathSchema,
+    }),
+  }
+);
+
+export const gitDiffTool = tool(
+  async ({ staged, ref, paths, contextLines, repoPath }) => {
+    try {
+      const diff = await getDiff(resolveWorkspacePath(repoPath || "."), { staged, ref, paths, contextLines });
+
+      const what = ref ? `against ${ref}` : staged ? "staged" : "unstaged";
+      if (diff.files.length === 0) {
+        return `No ${what} changes`;
+      }
+
+      const added = diff.files.reduce((sum, file) => sum + file.added, 0);
+      const deleted = diff.files.reduce((sum, file) => sum + file.deleted, 0);
+      const fileLines = diff.files.map((file) =>
+        file.binary ? `  ${file.path} (binary)` : `  ${file.path} +${file.added} -${file.deleted}`,
+      );
+
+      let output = `${diff.files.length} file(s) changed (${what}), +${added} -${deleted}:\n${fileLines.join("\n")}`;
+      output += `\n\n${diff.patch.trimEnd()}`;
+      if (diff.truncated) {
+        output += "\n\n[Diff truncated. Pass paths to see specific files.]";
+      }
+
+      return output;
+    } catch (error) {
+      return `Error running git diff: ${error.message}`;
+    }
+  },
+  {
+    name: "git_diff",
+    description: "Show changes as a per-file summary plus a unified diff: unstaged (default), staged, or against a ref such as HEAD~1 or main.",
+    schema: z.object({
+      staged: z.boolean().optional().describe("Show staged changes instead of unstaged ones"),
+      ref: z.string().optional().describe("Compare the working tree (or index, with staged) against this commit/branch"),
+      paths: z.array(z.string()).optional().describe("Limit the diff to these files or directories"),
+      contextLines: z.number().int().optional().describe("Lines of context around each change (default 3)"),
+      repoPath: repoPathSchema,
+    }),
+  }
+);
+
+export const gitLogTool = tool(
+  async ({ maxCount, ref, path: filePath, author, since, repoPath }) => {
+    try {
+      const commits = await getLog(resolveWorkspacePath(repoPath || "."), { maxCount, ref, path: filePath, author, since });
+
+      if (commits.length === 0) {
+        return "No commits found";
+      }
+
+      return commits
+        .map((commit) => `${commit.hash} ${commit.date} ${commit.author}: ${commit.subject}`)
+        .join("\n");
+    } catch (error) {
+      return `Error running git log: ${error.message}`;
+    }
+  },
+  {
+    name: "git_log",
+    description: "List recent commits (hash, date, author, subject), optionally for one file, branch, author or time range.",
+    schema: z.object({
+      maxCount: z.number().int().optional().describe("Number of commits (default 20)"),
+      ref: z.string().optional().describe("Branch, tag or range such as main..HEAD"),
+      path: z.string().optional().describe("Only commits touching this file or directory"),
+      author: z.string().optional().describe("Only commits by this author"),
+      since: z.string().optional().describe("Only commits after this date, e.g. '2 weeks ago' or '2024-01-01'"),
+      repoPath: repoPathSchema,
+    }),
+  }
+);
+
+export const gitBlameTool = tool(
+  async ({ filePath, startLine, endLine, ref }) => {
+    try {
+      const resolvedPath = resolveWorkspacePath(filePath);
+      const lines = await getBlame(path.dirname(resolvedPath), path.basename(resolvedPath), { startLine, endLine, ref });
+
+      if (lines.length === 0) {
+        return `No blame information for ${filePath}`;
+      }
+
+      const width = String(lines[lines.length - 1].line).length;
+      return lines
+        .map((line) => `${String(line.line).padStart(width)} ${line.hash} ${line.date} ${line.author}: ${line.text}`)
+        .join("\n");
+    } catch (error) {
+      return `Error running git blame: ${error.message}`;
+    }
+  },
+  {
+    name: "git_blame",
+    description: "Show which commit, author and date last changed each line of a file. Use startLine/endLine for large files.",
+    schema: z.object({
+      filePath: z.string().describe("File to blame"),
+      startLine: z.number().int().optional().describe("First line (1-based)"),
+      endLine: z.number().int().optional().describe("Last line (inclusive)"),
+      ref: z.string().optional().describe("Blame the file as of this commit"),
+    }),
+  }
+);
+
+export const gitCommitTool = tool(
+  async ({ message, files, all, repoPath }) => {
     try {
+      const cwd = resolveWorkspacePath(repoPath || ".");
 
-      if (!/^[\d\s+\-*/.()]+$/.test(expression)) {
-        return "Error: Invalid expression. Only numbers and operators (+, -, *, /, parentheses) allowed.";
+      if (files?.length > 0) {
+        await runGit(["add", "--", ...files.map((file) => resolveWorkspacePath(file))], cwd);
       }
 
-      const result = eval(expression);
+      const args = ["commit", "-m", message];
+      if (all) args.push("--all");
+      await runGit(args, cwd);
+
+      const summary = await runGit(["show", "--stat", "--format=%h %s", "HEAD"], cwd);
+      return `Committed ${summary.trim()}`;
+    } catch (error) {
+      return `Error committing: ${error.message}`;
+    }
+  },
+  {
+    name: "git_commit",
+    description: "Create a commit. Stages the given files first (or all tracked changes with all=true); otherwise commits what is already staged.",
+    schema: z.object({
+      message: z.string().describe("Commit message"),
+      files: z.array(z.string()).optional().describe("Files to stage before committing"),
+      all: z.boolean().optional().describe("Stage all modified and deleted tracked files (git commit --all)"),
+      repoPath: repoPathSchema,
+    }),
+  }
+);
+
+export const gitCheckoutBranchTool = tool(
+  async ({ branch, create, startPoint, repoPath }) => {
+    try {
+      const cwd = resolveWorkspacePath(repoPath || ".");
+
+      // git switch only ever changes branches; checkout would restore a file named like the branch
+      await checkBranchName(branch, cwd);
+      const args = create ? ["switch", "-c", branch] : ["switch", branch];
+      if (create && startPoint) args.push(checkRevision(startPoint, "start point"));
+      await runGit(args, cwd);
+
+      const status = await getStatus(cwd);
+      return `${create ? "Created and switched" : "Switched"} to branch ${status.branch}`;
+    } catch (error) {
+      return `Error switching branch: ${error.message}`;
+    }
+  },
+  {
+    name: "git_checkout_branch",
+    description: "Switch to an existing branch, or create a new one (optionally from a start point) and switch to it.",
+    schema: z.object({
+      branch: z.string().describe("Branch name"),
+      create: z.boolean().optional().describe("Create the branch (git switch -c)"),
+      startPoint: z.string().optional().describe("Commit or branch to start the new branch from"),
+      repoPath: repoPathSchema,
+    }),
+  }
+);
+
+export const gitStashTool = tool(
+  async ({ action, message, includeUntracked, index, repoPath }) => {
+    try {
+      const cwd = resolveWorkspacePath(repoPath || ".");
+      const stashRef = `stash@{${index ?? 0}}`;
+
+      if (action === "list") {
+        const output = await runGit(["stash", "list", "--format=%gd %cr: %gs"], cwd);
+        return output.trim() || "No stashes";
+      }
+
+      const args = {
+        push: ["stash", "push", ...(includeUntracked ? ["--include-untracked"] : []), ...(message ? ["-m", message] : [])],
+        pop: ["stash", "pop", stashRef],
+        apply: ["stash", "apply", stashRef],
+        drop: ["stash", "drop", stashRef],
+      }[action];
+
+      const output = await runGit(args, cwd);
+      if (action === "pop" || action === "apply") {
+        // git prints a full status after restoring; git_status is the compact way to see it
+        return `Restored ${stashRef}${action === "pop" ? " and dropped it" : ""}. Run git_status to see the changes.`;
+      }
+      return output.trim().split("\n")[0] || "No local changes to stash";
+    } catch (error) {
+      return `Error running git stash: ${error.message}`;
+    }
+  },
+  {
+    name: "git_stash",
+    description: "Save uncommitted changes to the stash (push), restore them (pop/apply), drop a stash, or list stashes.",
+    schema: z.object({
+      action: z.enum(["push", "pop", "apply", "drop", "list"]).describe("Stash operation"),
+      message: z.string().optional().describe("Description for push"),
+      includeUntracked: z.boolean().optional().describe("Also stash untracked files (push)"),
+      index: z.number().int().optional().describe("Stash entry for pop/apply/drop (default 0, the latest)"),
+      repoPath: repoPathSchema,
+    }),
+  }
+);
+
+export const calculatorTool = tool(
+  async ({ expression }, runConfig) => {
+    try {
+      const result = calculate(expression, runConfig?.configurable?.sessionId);
       return `${expression} = ${result}`;
     } catch (error) {
       return `Error calculating: ${error.message}`;
@@ -238,80 +880,210 @@ export const calculatorTool = tool(
   },
   {
     name: "calculator",
-    description: "Perform mathematical calculations. Example: '2 + 2 * 3' returns 8.",
+    description:
+      "Evaluate math with high precision. Supports + - * / ^ %, functions (sqrt, log, sin, round, factorial...), " +
+      "constants (pi, e), units and conversions ('5 MB to KB', '1500 ms to s', '3 inch to cm', '2 hours to minute') " +
+      "and variables that persist for the session ('rate = 0.07', then 'rate * 1200'). " +
+      "KB, MB and GB are decimal (1 MB = 1000 KB); use KiB, MiB and GiB for 1024-based sizes ('5 MiB to KiB').",
     schema: z.object({
-      expression: z.string().describe("Mathematical expression to evaluate"),
+      expression: z.string().describe("Expression to evaluate; separate several with ';'"),
     }),
   }
 );
 
 export const webSearchTool = tool(
-  async ({ query }) => {
+  async ({ query, maxResults }) => {
     try {
+      const { provider, results } = await searchWeb(query, { limit: maxResults });
 
-      const encodedQuery = encodeURIComponent(query);
-      const url = `https://api.duckduckgo.com/?q=${encodedQuery}&format=json&no_html=1&skip_disambig=1`;
+      if (results.length === 0) {
+        return `No results found for "${query}" (provider: ${provider}). Try rephrasing your query or use more specific terms.`;
+      }
 
-      const response = await fetch(url);
-      const data = await response.json();
+      const lines = results.map((result, idx) => {
+        let entry = `${idx + 1}. ${result.title}`;
+        if (result.url) entry += `\n   ${result.url}`;
+        if (result.snippet && result.snippet !== result.title) entry += `\n   ${result.snippet}`;
+        return entry;
+      });
 
-      let result = "";
+      return `Search results for "${query}" (provider: ${provider}):\n\n${lines.join("\n\n")}\n\n` +
+        "Use web_fetch on a URL to read the full page.";
+    } catch (error) {
+      return `Error searching: ${error.message}. Note: Web search requires an internet connection.`;
+    }
+  },
+  {
+    name: "web_search",
+    description:
+      "Search the web for information. Returns a numbered list of results (title, URL, snippet); " +
+      "open promising results with web_fetch.",
+    schema: z.object({
+      query: z.string().describe("The search query"),
+      maxResults: z.number().int().optional().describe("Maximum number of results (default 8)"),
+    }),
+  }
+);
 
-      if (data.Abstract) {
-        result += `**Summary**: ${data.Abstract}\n`;
-        if (data.AbstractSource) {
-          result += `Source: ${data.AbstractSource}\n`;
-        }
-        if (data.AbstractURL) {
-          result += `URL: ${data.AbstractURL}\n`;
+export const httpRequestTool = tool(
+  async ({ url, method, headers, body, json, timeoutSeconds }) => {
+    try {
+      const requestHeaders = { ...(headers || {}) };
+
+      if (json && body !== undefined) {
+        try {
+          JSON.parse(body);
+        } catch (error) {
+          return `Error: body is not valid JSON (${error.message})`;
         }
+        const hasContentType = Object.keys(requestHeaders).some((name) => name.toLowerCase() === "content-type");
+        if (!hasContentType) requestHeaders["Content-Type"] = "application/json";
       }
 
-      if (data.Definition) {
-        result += `\n**Definition**: ${data.Definition}\n`;
+      const timeout = timeoutSeconds || config.http.defaultTimeoutSeconds;
+      const response = await sendHttpRequest(url, {
+        method: method || "GET",
+        headers: requestHeaders,
+        body,
+        timeoutMs: timeout * 1000,
+      });
+
+      let output = `HTTP ${response.status} ${response.statusText} (${response.durationMs}ms)`;
+      if (response.redirects.length > 0) {
+        output += `\nRedirected to: ${response.url}`;
       }
 
-      if (data.Answer) {
-        result += `\n**Answer**: ${data.Answer}\n`;
+      const headerLines = Object.entries(response.headers).map(([name, value]) => `${name}: ${value}`);
+      if (headerLines.length > 0) {
+        output += `\n\nHeaders:\n${headerLines.join("\n")}`;
       }
 
-      if (data.RelatedTopics && data.RelatedTopics.length > 0) {
-        result += `\n**Related Topics**:\n`;
-        const topics = data.RelatedTopics.slice(0, 5);
-        for (const topic of topics) {
-          if (topic.Text) {
-            result += `• ${topic.Text.slice(0, 200)}${topic.Text.length > 200 ? "..." : ""}\n`;
-          }
+      if (response.binary) {
+        output += `\n\n(Binary body, ${response.complete ? "" : "more than "}${formatBytes(response.bodyLength)}, not shown)`;
+      } else if (response.bodyLength === 0) {
+        output += "\n\n(empty body)";
+      } else {
+        output += `\n\nBody:\n${prettyJson(response.body, response.contentType, response.truncated)}`;
+        if (response.truncated) {
+          output += response.complete
+            ? `\n\n[Body truncated: showing ${response.body.length} of ${response.bodyLength} characters]`
+            : `\n\n[Body truncated: showing the first ${response.body.length} characters; the download was stopped]`;
         }
       }
 
-      if (!result) {
-        return `No instant answers found for "${query}". Try rephrasing your query or use more specific terms.`;
+      return output;
+    } catch (error) {
+      return `Error making HTTP request: ${error.message}`;
+    }
+  },
+  {
+    name: "http_request",
+    description:
+      "Send an HTTP request, e.g. to test a local API (localhost is allowed by default, other hosts must be allowlisted). " +
+      "Returns the status, key headers and the (truncated) body. Methods other than GET/HEAD need user approval.",
+    schema: z.object({
+      url: z.string().describe("Absolute URL, e.g. http://localhost:3000/api/users"),
+      method: z.enum(["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"]).optional().describe("HTTP method (default GET)"),
+      headers: z.record(z.string(), z.string()).optional().describe("Request headers"),
+      body: z.string().optional().describe("Request body as text"),
+      json: z.boolean().optional().describe("Body is JSON: validate it and send Content-Type: application/json"),
+      timeoutSeconds: z.number().int().optional().describe("Give up after this many seconds (default 30)"),
+    }),
+  }
+);
+
+export const webFetchTool = tool(
+  async ({ url, offset, maxChars, refresh }, runConfig) => {
+    try {
+      // configurable.allowPrivateHosts lets a caller (e.g. a test against a local fixture
+      // server) opt in for one call; otherwise APEX_WEB_FETCH_ALLOW_PRIVATE decides
+      const page = await fetchPage(url, {
+        sessionId: runConfig?.configurable?.sessionId,
+        timeoutMs: config.http.defaultTimeoutSeconds * 1000,
+        refresh,
+        allowPrivateHosts: runConfig?.configurable?.allowPrivateHosts,
+      });
+
+      const total = page.content.length;
+      const start = Math.min(Math.max(offset || 0, 0), total);
+      const limit = Math.min(Math.max(maxChars || WEB_FETCH_CHARS, 500), MAX_WEB_FETCH_CHARS);
+      const end = Math.min(start + limit, total);
+
+      let output = page.title ? `# ${page.title}\n` : "";
+      output += `URL: ${page.url}\n`;
+      if (page.status >= 400) {
+        output += `HTTP status: ${page.status}\n`;
+      }
+      if (page.cached) {
+        output += "(from cache)\n";
+      }
+
+      if (total === 0) {
+        return `${output}\n(The page has no readable text content.)`;
       }
 
-      return `Search results for "${query}":\n\n${result}`;
+      output += `\n${page.content.slice(start, end)}`;
+
+      if (end < total) {
+        output += `\n\n[Characters ${start}–${end} of ${total}. Call web_fetch with offset=${end} to read more.]`;
+      } else if (page.truncated) {
+        output += `\n\n[Characters ${start}–${end} of ${total}. The page is too long; the rest wasn't downloaded.]`;
+      } else if (start > 0) {
+        output += `\n\n[Characters ${start}–${end} of ${total}. End of page.]`;
+      }
+
+      return output;
     } catch (error) {
-      return `Error searching: ${error.message}. Note: Web search requires an internet connection.`;
+      return `Error fetching page: ${error.message}`;
     }
   },
   {
-    name: "web_search",
-    description: "Search the web for information. Use this to look up facts, definitions, current information, or anything not in local files.",
+    name: "web_fetch",
+    description:
+      "Download a web page and return it as readable markdown with links kept. " +
+      "Long pages are returned in chunks; pass offset to continue. Pages are cached for the session.",
     schema: z.object({
-      query: z.string().describe("The search query"),
+      url: z.string().describe("Absolute URL of the page"),
+      offset: z.number().int().optional().describe("Character offset to start reading from (default 0)"),
+      maxChars: z.number().int().optional().describe(`How many characters to return (default ${WEB_FETCH_CHARS})`),
+      refresh: z.boolean().optional().describe("Download again instead of using the cached copy"),
     }),
   }
 );
 
+// Pretty-print complete JSON bodies so the model can read nested fields
+function prettyJson(body, contentType, truncated) {
+  if (truncated || !/json/i.test(contentType)) return body;
+  try {
+    return JSON.stringify(JSON.parse(body), null, 2);
+  } catch (error) {
+    return body;
+  }
+}
+
 export const allTools = [
   readFileTool,
   writeFileTool,
+  editFileTool,
   listDirectoryTool,
   deleteFileTool,
   shellCommandTool,
+  executeCodeTool,
+  runTestsTool,
+  checkCodeTool,
   searchFilesTool,
+  grepFilesTool,
+  gitStatusTool,
+  gitDiffTool,
+  gitLogTool,
+  gitBlameTool,
+  gitCommitTool,
+  gitCheckoutBranchTool,
+  gitStashTool,
   calculatorTool,
   webSearchTool,
+  httpRequestTool,
+  webFetchTool,
 ];
 
 export const safeTools = allTools.filter(
@@ -322,8 +1094,21 @@ export const dangerousTools = allTools.filter(
   (tool) => config.dangerousTools.includes(tool.name)
 );
 
-export function isDangerousTool(toolName) {
-  return config.dangerousTools.includes(toolName);
+export function isDangerousTool(toolName, args) {
+  if (args === undefined) {
+    return config.dangerousTools.includes(toolName);
+  }
+  return evaluateToolCall(toolName, args).action !== "allow";
+}
+
+export function findToolCallNeedingApproval(toolCalls, sessionId = null) {
+  for (const toolCall of toolCalls) {
+    const decision = evaluateToolCall(toolCall.name, toolCall.args, { sessionId });
+    if (decision.action !== "allow") {
+      return { toolCall, decision };
+    }
+  }
+  return null;
 }
 
 export function getToolByName(name) {
@@ -0,0 +1,94 @@
+// Calculator Engine - Sandboxed math.js evaluation with BigNumber precision, units
+// and per-session variables, replacing the old eval-based calculator
+
+import { create, all } from "mathjs";
+
+const math = create(all, { number: "BigNumber", precision: 64 });
+
+// math.js only knows the SI "kB"; people (and models) write "KB". It stays SI like
+// math.js's MB and GB (1 MB = 1000 KB); binary sizes are KiB, MiB and GiB.
+math.createUnit("KB", "1000 B");
+
+// Keep our own handle on the parser before locking expressions out of it
+const parse = math.parse;
+
+// Functions that could reach outside the expression or reconfigure the engine
+const BLOCKED_FUNCTIONS = ["import", "createUnit", "evaluate", "parse", "simplify", "derivative", "resolve", "reviver", "compile", "parser", "config"];
+
+math.import(
+  Object.fromEntries(BLOCKED_FUNCTIONS.map((name) => [
+    name,
+    () => {
+      throw new Error(`Function ${name} is disabled in the calculator`);
+    },
+  ])),
+  { override: true },
+);
+
+// sessionId -> Map of variables and functions defined by earlier calls
+const scopes = new Map();
+
+/**
+ * Evaluate an expression, keeping assignments (x = 5, f(x) = x^2) for later calls
+ * @param {string} expression - One or more expressions separated by ";" or newlines
+ * @param {string|null} sessionId - Session whose variables to use
+ * @returns {string} Formatted result
+ * @throws {Error} With the failing position and a caret line when the expression is invalid
+ */
+export function calculate(expression, sessionId = null) {
+  const scope = getScope(sessionId);
+
+  let result;
+  try {
+    result = parse(expression).compile().evaluate(scope);
+  } catch (error) {
+    throw new Error(describeError(expression, error));
+  }
+
+  if (math.typeOf(result) === "ResultSet") {
+    return result.entries.map(formatResult).join("\n");
+  }
+  return formatResult(result);
+}
+
+function formatResult(value) {
+  if (typeof value === "function") {
+    return value.syntax || value.name || "function";
+  }
+  // Print integers in full instead of switching to exponent notation
+  if (math.isBigNumber(value) && value.isInteger() && value.abs().lt("1e64")) {
+    return value.toFixed();
+  }
+  return math.format(value, { precision: 20, lowerExp: -9, upperExp: 21 });
+}
+
+function describeError(expression, error) {
+  let message = error.message.replace(/\s*\(char \d+\)$/, "");
+  let position = Number.isInteger(error.char) ? error.char : null;
+
+  // Runtime errors don't carry a position; point at the offending name when we can
+  const symbol = message.match(/^Undefined (?:symbol|function) (\w+)/);
+  if (position === null && symbol) {
+    const match = new RegExp(`\\b${symbol[1]}\\b`).exec(expression);
+    if (match) position = match.index + 1;
+  }
+
+  if (/multiplyScalar.*actual: function/.test(message)) {
+    message = "A function name was used as a value or unit (e.g. \"min\" is the min() function; write \"minute\")";
+  }
+
+  if (position === null || expression.includes("\n")) {
+    return message;
+  }
+
+  const caretColumn = Math.min(Math.max(position - 1, 0), expression.length);
+  return `${message} at position ${position}\n  ${expression}\n  ${" ".repeat(caretColumn)}^`;
+}
+
+function getScope(sessionId) {
+  const key = sessionId || "default";
+  if (!scopes.has(key)) {
+    scopes.set(key, new Map());
+  }
+  return scopes.get(key);
+}
@@ -0,0 +1,167 @@
+// Code Checks - Run the project's own ESLint and TypeScript compiler and normalize
+// their reports into { file, line, column, rule, severity, message } diagnostics
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { runShellCommand, shellQuote } from "./shell.js";
+import { toPosix } from "./walk.js";
+
+const TSCONFIG_FILE = "tsconfig.json";
+
+const CHECKERS = {
+  eslint: {
+    bin: "eslint",
+    command: ({ bin, files, report }) =>
+      [bin, "--format", "json", "--output-file", report, ...(files.length > 0 ? files : ["."])].map(shellQuote).join(" "),
+    parse: parseEslintReport,
+  },
+  tsc: {
+    bin: "tsc",
+    // tsc checks the whole project; file arguments would make it ignore tsconfig.json
+    command: ({ bin, report }) => `${[bin, "--noEmit", "--pretty", "false"].map(shellQuote).join(" ")} > ${shellQuote(report)}`,
+    parse: parseTscReport,
+    requires: TSCONFIG_FILE,
+  },
+};
+
+export const CODE_CHECKERS = Object.keys(CHECKERS);
+
+/**
+ * Find an executable in node_modules/.bin, looking in dir and its parents
+ * @param {string} dir - Directory to start from
+ * @param {string} name - Executable name
+ * @returns {string|null} Absolute path, or null when the project doesn't have it
+ */
+export function findLocalBin(dir, name) {
+  const fileName = process.platform === "win32" ? `${name}.cmd` : name;
+  let current = path.resolve(dir);
+
+  while (true) {
+    const candidate = path.join(current, "node_modules", ".bin", fileName);
+    if (fs.existsSync(candidate)) return candidate;
+
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Run one checker
+ * @param {string} cwd - Project directory
+ * @param {string} checker - "eslint" or "tsc"
+ * @param {Object} options - { files?: string[], timeoutMs }
+ * @returns {Promise<Object>} { checker, skipped?, command, diagnostics, errors, warnings, output, timedOut, cancelled }
+ */
+export async function runChecker(cwd, checker, { files = [], timeoutMs }) {
+  const definition = CHECKERS[checker];
+  if (!definition) {
+    throw new Error(`Unknown checker "${checker}". Supported: ${CODE_CHECKERS.join(", ")}`);
+  }
+
+  const bin = findLocalBin(cwd, definition.bin);
+  if (!bin) {
+    return { checker, skipped: `${definition.bin} is not installed in node_modules` };
+  }
+  if (definition.requires && !fs.existsSync(path.join(cwd, definition.requires))) {
+    return { checker, skipped: `no ${definition.requires} in the project directory` };
+  }
+
+  const reportDir = fs.mkdtempSync(path.join(os.tmpdir(), "apex-check-"));
+  const report = path.join(reportDir, "report");
+
+  try {
+    const command = definition.command({ bin, files, report });
+    const result = await runShellCommand(command, {
+      cwd,
+      timeoutMs,
+      env: { ...process.env, FORCE_COLOR: "0", NO_COLOR: "1" },
+    });
+
+    let diagnostics = null;
+    try {
+      diagnostics = definition.parse(fs.readFileSync(report, "utf-8"), cwd);
+    } catch (error) {
+      // Crashed before writing a report (bad config, syntax error in the config file)
+    }
+    // Both exit 0 when clean, so a failing exit with nothing reported means the checker itself failed
+    if (diagnostics?.length === 0 && result.exitCode !== 0) {
+      diagnostics = null;
+    }
+
+    return {
+      checker,
+      command: command.replace(report, "<report>").replace(bin, path.basename(bin)),
+      exitCode: result.exitCode,
+      timedOut: result.timedOut,
+      cancelled: result.cancelled,
+      error: result.error,
+      diagnostics,
+      errors: diagnostics?.filter((diagnostic) => diagnostic.severity === "error").length ?? null,
+      warnings: diagnostics?.filter((diagnostic) => diagnostic.severity === "warning").length ?? null,
+      output: [result.stdout, result.stderr].filter(Boolean).join("\n").trim(),
+    };
+  } finally {
+    fs.rmSync(reportDir, { recursive: true, force: true });
+  }
+}
+
+// [{ filePath, messages: [{ ruleId, severity: 1|2, message, line, column }] }]
+function parseEslintReport(text, cwd) {
+  const results = JSON.parse(text);
+  const diagnostics = [];
+
+  for (const result of results) {
+    for (const message of result.messages) {
+      diagnostics.push({
+        file: toPosix(path.relative(cwd, result.filePath)),
+        line: message.line || 0,
+        column: message.column || 0,
+        rule: message.ruleId || (message.fatal ? "parse-error" : null),
+        severity: message.severity === 2 ? "error" : "warning",
+        message: message.message,
+      });
+    }
+  }
+
+  return diagnostics;
+}
+
+// "src/a.ts(3,7): error TS2322: Type 'string' is not assignable..." plus indented continuation lines
+function parseTscReport(text, cwd) {
+  const diagnostics = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^(.+?)\((\d+),(\d+)\): (error|warning|message) (TS\d+): (.*)$/);
+    if (match) {
+      const [, file, lineNumber, column, category, code, message] = match;
+      diagnostics.push({
+        file: toPosix(path.isAbsolute(file) ? path.relative(cwd, file) : file),
+        line: Number(lineNumber),
+        column: Number(column),
+        rule: code,
+        severity: category === "error" ? "error" : "warning",
+        message,
+      });
+      continue;
+    }
+
+    // Project-level errors have no location ("error TS5058: The specified path does not exist")
+    const global = line.match(/^(error|warning) (TS\d+): (.*)$/);
+    if (global) {
+      diagnostics.push({ file: "", line: 0, column: 0, rule: global[2], severity: global[1], message: global[3] });
+      continue;
+    }
+
+    if (/^\s+\S/.test(line) && diagnostics.length > 0) {
+      diagnostics[diagnostics.length - 1].message += `\n${line.trimEnd()}`;
+    }
+  }
+
+  if (diagnostics.length === 0 && text.trim()) {
+    throw new Error("Unrecognised tsc output");
+  }
+  return diagnostics;
+}
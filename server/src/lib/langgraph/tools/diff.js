@@ -0,0 +1,89 @@
+// Diff Rendering - Colorized unified diffs for the approval screen
+// Built on jsdiff so the hunks match what `git diff` would show
+
+import chalk from "chalk";
+import { structuredPatch } from "diff";
+
+const DEFAULT_MAX_LINES = 200;
+
+/**
+ * Render a unified, colorized diff between two versions of a file
+ * @param {string} filePath - File name shown in the header
+ * @param {string} oldContent - Current content on disk
+ * @param {string} newContent - Proposed content
+ * @param {Object} options - { context?: number, maxLines?: number }
+ * @returns {string} Printable diff, or a note when nothing changed
+ */
+export function formatUnifiedDiff(filePath, oldContent, newContent, options = {}) {
+  const { context = 3, maxLines = DEFAULT_MAX_LINES } = options;
+
+  const patch = structuredPatch(
+    `a/${filePath}`,
+    `b/${filePath}`,
+    oldContent,
+    newContent,
+    "",
+    "",
+    { context },
+  );
+
+  if (patch.hunks.length === 0) {
+    return chalk.gray(`   (no changes to ${filePath})`);
+  }
+
+  const lines = [chalk.bold(`--- a/${filePath}`), chalk.bold(`+++ b/${filePath}`)];
+  let added = 0;
+  let removed = 0;
+
+  for (const hunk of patch.hunks) {
+    lines.push(
+      chalk.cyan(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`),
+    );
+    for (const line of hunk.lines) {
+      if (line.startsWith("+")) {
+        added++;
+        lines.push(chalk.green(line));
+      } else if (line.startsWith("-")) {
+        removed++;
+        lines.push(chalk.red(line));
+      } else {
+        lines.push(chalk.gray(line));
+      }
+    }
+  }
+
+  return [
+    ...truncateLines(lines, maxLines),
+    chalk.gray(`   ${chalk.green(`+${added}`)} ${chalk.red(`-${removed}`)} lines`),
+  ].join("\n");
+}
+
+/**
+ * Render the content of a file that does not exist yet
+ * @param {string} filePath - File name shown in the header
+ * @param {string} content - Proposed content
+ * @param {Object} options - { maxLines?: number }
+ * @returns {string} Printable "new file" view with line numbers
+ */
+export function formatNewFile(filePath, content, options = {}) {
+  const { maxLines = DEFAULT_MAX_LINES } = options;
+  const contentLines = content.split("\n");
+  const width = String(contentLines.length).length;
+
+  const lines = [
+    chalk.bold.green(`+++ new file: ${filePath} (${contentLines.length} lines)`),
+    ...contentLines.map(
+      (line, idx) => chalk.gray(`${String(idx + 1).padStart(width)} `) + chalk.green(`+${line}`),
+    ),
+  ];
+
+  return truncateLines(lines, maxLines).join("\n");
+}
+
+function truncateLines(lines, maxLines) {
+  if (lines.length <= maxLines) return lines;
+  return [
+    ...lines.slice(0, maxLines),
+    chalk.gray(`   ... ${lines.length - maxLines} more lines not shown`),
+  ];
+}
@@ -0,0 +1,116 @@
+// Surgical Edits - Apply search/replace and line-range hunks to file content
+// Every hunk is located against the ORIGINAL content, so hunks can't shift each other
+
+/**
+ * Apply a list of edit hunks to file content
+ * Each hunk is either { search, replace, replaceAll? } or { startLine, endLine, replace }.
+ * Line numbers are 1-based and inclusive; the newline after endLine is kept.
+ * @param {string} content - Original file content
+ * @param {Object[]} edits - Hunks to apply
+ * @returns {string} The edited content
+ * @throws {Error} When a hunk is missing, ambiguous, out of range or overlapping
+ */
+export function applyEdits(content, edits) {
+  if (!edits?.length) {
+    throw new Error("No edits provided");
+  }
+
+  const ranges = edits.flatMap((edit, idx) => locateEdit(content, edit, idx + 1));
+
+  ranges.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < ranges.length; i++) {
+    if (ranges[i].start < ranges[i - 1].end) {
+      throw new Error(
+        `Edit #${ranges[i].hunk} overlaps edit #${ranges[i - 1].hunk}. Combine them into one edit.`,
+      );
+    }
+  }
+
+  let result = content;
+  for (const range of [...ranges].reverse()) {
+    result = result.slice(0, range.start) + range.replace + result.slice(range.end);
+  }
+  return result;
+}
+
+/**
+ * Build an edit that replaces the whole file, used when the user rewrites
+ * a proposed edit in their editor
+ * @param {string} content - Original file content
+ * @param {string} replace - New content
+ * @returns {Object} A single line-range hunk covering every line
+ */
+export function wholeFileEdit(content, replace) {
+  return { startLine: 1, endLine: content.split("\n").length, replace };
+}
+
+function locateEdit(content, edit, hunk) {
+  const hasSearch = typeof edit.search === "string";
+  const hasLines = edit.startLine != null || edit.endLine != null;
+
+  if (hasSearch === hasLines) {
+    throw new Error(`Edit #${hunk} must have either "search" or "startLine"/"endLine", not both or neither`);
+  }
+
+  const replace = edit.replace ?? "";
+
+  if (hasLines) {
+    return [{ ...lineRange(content, edit, hunk), replace, hunk }];
+  }
+
+  if (edit.search === "") {
+    throw new Error(`Edit #${hunk} has an empty search block`);
+  }
+
+  const offsets = findAll(content, edit.search);
+
+  if (offsets.length === 0) {
+    throw new Error(
+      `Edit #${hunk}: search block not found. It must match the file exactly, including whitespace and indentation. ` +
+      `Read the file again and copy the text verbatim.`,
+    );
+  }
+
+  if (offsets.length > 1 && !edit.replaceAll) {
+    const lines = offsets.map((offset) => lineNumberAt(content, offset));
+    throw new Error(
+      `Edit #${hunk}: search block is ambiguous, it matches ${offsets.length} times (lines ${lines.join(", ")}). ` +
+      `Include more surrounding lines to make it unique, or set replaceAll.`,
+    );
+  }
+
+  return offsets.map((start) => ({ start, end: start + edit.search.length, replace, hunk }));
+}
+
+function lineRange(content, { startLine, endLine = startLine }, hunk) {
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === "\n") lineStarts.push(i + 1);
+  }
+  const totalLines = lineStarts.length;
+
+  if (!Number.isInteger(startLine) || !Number.isInteger(endLine) || startLine < 1 || endLine < startLine) {
+    throw new Error(`Edit #${hunk}: invalid line range ${startLine}-${endLine}`);
+  }
+  if (endLine > totalLines) {
+    throw new Error(`Edit #${hunk}: line range ${startLine}-${endLine} is past the end of the file (${totalLines} lines)`);
+  }
+
+  const start = lineStarts[startLine - 1];
+  const end = endLine < totalLines ? lineStarts[endLine] - 1 : content.length;
+  return { start, end };
+}
+
+function findAll(content, search) {
+  const offsets = [];
+  let index = content.indexOf(search);
+  while (index !== -1) {
+    offsets.push(index);
+    index = content.indexOf(search, index + search.length);
+  }
+  return offsets;
+}
+
+function lineNumberAt(content, offset) {
+  return content.slice(0, offset).split("\n").length;
+}
@@ -0,0 +1,81 @@
+// File Helpers - Binary detection and numbered line output shared by the file tools
+
+import fs from "fs";
+import path from "path";
+
+const BINARY_SNIFF_BYTES = 8000;
+
+// Magic numbers for the binary formats people most often point the agent at
+const MAGIC_TYPES = [
+  { bytes: [0x89, 0x50, 0x4e, 0x47], type: "PNG image" },
+  { bytes: [0xff, 0xd8, 0xff], type: "JPEG image" },
+  { bytes: [0x47, 0x49, 0x46, 0x38], type: "GIF image" },
+  { bytes: [0x25, 0x50, 0x44, 0x46], type: "PDF document" },
+  { bytes: [0x50, 0x4b, 0x03, 0x04], type: "ZIP archive (or docx/xlsx/jar)" },
+  { bytes: [0x1f, 0x8b], type: "gzip archive" },
+  { bytes: [0x7f, 0x45, 0x4c, 0x46], type: "ELF executable" },
+  { bytes: [0x00, 0x61, 0x73, 0x6d], type: "WebAssembly module" },
+];
+
+/**
+ * Guess whether a buffer holds binary data (NUL bytes or lots of control characters)
+ * @param {Buffer} buffer - File content (only the first few KB are inspected)
+ * @returns {boolean} True if the content looks binary
+ */
+export function isBinaryBuffer(buffer) {
+  const sample = buffer.subarray(0, BINARY_SNIFF_BYTES);
+  if (sample.length === 0) return false;
+
+  let suspicious = 0;
+  for (const byte of sample) {
+    if (byte === 0) return true;
+    if (byte < 7 || (byte > 13 && byte < 32)) suspicious++;
+  }
+  return suspicious / sample.length > 0.1;
+}
+
+/**
+ * Describe a binary file instead of dumping it as text
+ * @param {string} filePath - Path as given by the model
+ * @param {Buffer} buffer - File content
+ * @returns {string} One-paragraph description
+ */
+export function describeBinaryFile(filePath, buffer) {
+  const magic = MAGIC_TYPES.find(({ bytes }) => bytes.every((byte, idx) => buffer[idx] === byte));
+  const type = magic?.type || `binary data${path.extname(filePath) ? ` (${path.extname(filePath)})` : ""}`;
+  const header = [...buffer.subarray(0, 16)].map((byte) => byte.toString(16).padStart(2, "0")).join(" ");
+
+  return `Binary file: ${filePath}\nType: ${type}\nSize: ${formatBytes(buffer.length)}\nFirst bytes: ${header}\n` +
+    `(Content not shown. Binary files can't be read as text.)`;
+}
+
+/**
+ * Read a file and tell whether it is text or binary
+ * @param {string} resolvedPath - Absolute path
+ * @returns {Object} { binary: boolean, buffer: Buffer, text: string|null }
+ */
+export function readFileContent(resolvedPath) {
+  const buffer = fs.readFileSync(resolvedPath);
+  const binary = isBinaryBuffer(buffer);
+  return { binary, buffer, text: binary ? null : buffer.toString("utf-8") };
+}
+
+/**
+ * Prefix lines with right-aligned line numbers
+ * @param {string[]} lines - Lines to format
+ * @param {number} firstLine - Line number of lines[0]
+ * @param {number} lastLineOfFile - Used to size the number column
+ * @returns {string} Numbered text
+ */
+export function formatNumberedLines(lines, firstLine, lastLineOfFile = firstLine + lines.length - 1) {
+  const width = String(lastLineOfFile).length;
+  return lines
+    .map((line, idx) => `${String(firstLine + idx).padStart(width)} | ${line}`)
+    .join("\n");
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,209 @@
+// Git Helpers - Run git without a shell and turn its machine-readable output
+// into compact summaries for the git_* tools
+
+import { execFile } from "child_process";
+
+const MAX_OUTPUT_BYTES = 20 * 1024 * 1024;
+const MAX_DIFF_CHARS = 15000;
+
+// Values the model passes to --author and --since
+const AUTHOR_PATTERN = /^[\p{L}\p{N} .@_+'-]{1,100}$/u;
+const SINCE_PATTERN = /^[A-Za-z0-9 .:,/-]{1,40}$/;
+
+/**
+ * Check a commit, branch or other revision before it goes into git's argv. A value
+ * starting with "-" would be read as an option (e.g. --output=<file> writes a file)
+ * @param {string} value - Revision from the model
+ * @param {string} label - What it is, for the error message
+ * @returns {string} The value
+ * @throws {Error} When it isn't a plain revision
+ */
+export function checkRevision(value, label = "ref") {
+  if (typeof value !== "string" || value.startsWith("-") || /[\s\0]/.test(value) || value.length > 200) {
+    throw new Error(`Invalid ${label} "${value}": expected a commit, branch or tag name`);
+  }
+  return value;
+}
+
+/**
+ * Check a branch name with git check-ref-format --branch
+ * @param {string} value - Branch name from the model
+ * @param {string} cwd - Repository directory
+ * @returns {Promise<string>} The name
+ * @throws {Error} When git doesn't accept it as a branch name
+ */
+export async function checkBranchName(value, cwd) {
+  checkRevision(value, "branch");
+  try {
+    await runGit(["check-ref-format", "--branch", value], cwd);
+  } catch (error) {
+    throw new Error(`Invalid branch name "${value}"`);
+  }
+  return value;
+}
+
+/**
+ * Run a git command
+ * @param {string[]} args - Arguments after "git"
+ * @param {string} cwd - Repository directory
+ * @returns {Promise<string>} stdout
+ * @throws {Error} With git's own error message when it exits non-zero
+ */
+export function runGit(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile("git", args, { cwd, maxBuffer: MAX_OUTPUT_BYTES, env: { ...process.env, GIT_TERMINAL_PROMPT: "0" } },
+      (error, stdout, stderr) => {
+        if (error) {
+          const message = (stderr || error.message).trim().split("\n").slice(0, 5).join("\n");
+          reject(new Error(error.code === "ENOENT" ? "git is not installed or not on PATH" : message));
+          return;
+        }
+        resolve(stdout);
+      });
+  });
+}
+
+/**
+ * Branch, upstream and changed files from `git status --porcelain=v2`
+ * @param {string} cwd - Repository directory
+ * @returns {Promise<Object>} { branch, upstream, ahead, behind, staged, unstaged, untracked, conflicts }
+ *   where file lists hold { status, path, from? }
+ */
+export async function getStatus(cwd) {
+  const output = await runGit(["status", "--porcelain=v2", "--branch", "-z"], cwd);
+  const status = { branch: null, upstream: null, ahead: 0, behind: 0, staged: [], unstaged: [], untracked: [], conflicts: [] };
+
+  const records = output.split("\0");
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    if (!record) continue;
+
+    if (record.startsWith("# branch.head ")) {
+      status.branch = record.slice(14);
+    } else if (record.startsWith("# branch.upstream ")) {
+      status.upstream = record.slice(18);
+    } else if (record.startsWith("# branch.ab ")) {
+      const [, ahead, behind] = record.match(/\+(\d+) -(\d+)/) || [];
+      status.ahead = Number(ahead || 0);
+      status.behind = Number(behind || 0);
+    } else if (record.startsWith("? ")) {
+      status.untracked.push({ status: "?", path: record.slice(2) });
+    } else if (record.startsWith("u ")) {
+      status.conflicts.push({ status: record.split(" ")[1], path: record.split(" ").slice(10).join(" ") });
+    } else if (record.startsWith("1 ") || record.startsWith("2 ")) {
+      const fields = record.split(" ");
+      const [indexStatus, worktreeStatus] = fields[1];
+      const isRename = record.startsWith("2 ");
+      const filePath = fields.slice(isRename ? 9 : 8).join(" ");
+      // Renames are followed by their original path as a separate record
+      const from = isRename ? records[++i] : undefined;
+
+      if (indexStatus !== ".") status.staged.push({ status: indexStatus, path: filePath, from });
+      if (worktreeStatus !== ".") status.unstaged.push({ status: worktreeStatus, path: filePath });
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Changed files and the (truncated) patch
+ * @param {string} cwd - Repository directory
+ * @param {Object} options - { staged?, ref?, paths?, contextLines?, maxChars? }
+ * @returns {Promise<Object>} { files: [{ path, added, deleted, binary }], patch, truncated }
+ */
+export async function getDiff(cwd, options = {}) {
+  const { staged = false, ref, paths = [], contextLines = 3, maxChars = MAX_DIFF_CHARS } = options;
+
+  const base = ["diff", "--no-color", "--no-ext-diff"];
+  if (staged) base.push("--cached");
+  // Options first: after --end-of-options git reads everything as a revision or path
+  const revisionArgs = ref ? ["--end-of-options", checkRevision(ref)] : [];
+  const pathArgs = paths.length > 0 ? ["--", ...paths] : [];
+
+  const numstat = await runGit([...base, "--numstat", ...revisionArgs, ...pathArgs], cwd);
+  const files = numstat.split("\n").filter(Boolean).map((line) => {
+    const [added, deleted, ...rest] = line.split("\t");
+    const binary = added === "-";
+    return { path: rest.join("\t"), added: binary ? 0 : Number(added), deleted: binary ? 0 : Number(deleted), binary };
+  });
+
+  const patch = await runGit([...base, `-U${contextLines}`, ...revisionArgs, ...pathArgs], cwd);
+  return {
+    files,
+    patch: patch.slice(0, maxChars),
+    truncated: patch.length > maxChars,
+  };
+}
+
+/**
+ * Recent commits
+ * @param {string} cwd - Repository directory
+ * @param {Object} options - { maxCount?, ref?, path?, author?, since? }
+ * @returns {Promise<Object[]>} [{ hash, author, date, subject }]
+ */
+export async function getLog(cwd, options = {}) {
+  const { maxCount = 20, ref, path: filePath, author, since } = options;
+
+  const args = ["log", `--max-count=${maxCount}`, "--date=short", "--format=%h%x1f%an%x1f%ad%x1f%s%x1e"];
+  if (author) {
+    if (!AUTHOR_PATTERN.test(author)) throw new Error(`Invalid author "${author}": use a name or email`);
+    args.push(`--author=${author}`);
+  }
+  if (since) {
+    if (!SINCE_PATTERN.test(since)) throw new Error(`Invalid since "${since}": use a date like 2024-01-31 or "2 weeks ago"`);
+    args.push(`--since=${since}`);
+  }
+  if (ref) args.push("--end-of-options", checkRevision(ref));
+  if (filePath) args.push("--", filePath);
+
+  const output = await runGit(args, cwd);
+  return output
+    .split("\x1e")
+    .map((record) => record.trim())
+    .filter(Boolean)
+    .map((record) => {
+      const [hash, authorName, date, subject] = record.split("\x1f");
+      return { hash, author: authorName, date, subject };
+    });
+}
+
+/**
+ * Who last changed each line of a file
+ * @param {string} cwd - Repository directory
+ * @param {string} filePath - File, relative to cwd
+ * @param {Object} options - { startLine?, endLine?, ref? }
+ * @returns {Promise<Object[]>} [{ line, hash, author, date, summary, text }]
+ */
+export async function getBlame(cwd, filePath, options = {}) {
+  const { startLine, endLine, ref } = options;
+
+  const args = ["blame", "--porcelain"];
+  if (startLine || endLine) args.push(`-L${Number(startLine) || 1},${Number(endLine) || ""}`);
+  // git blame has no --end-of-options, so the check is all that stands between ref and an option
+  if (ref) args.push(checkRevision(ref));
+  args.push("--", filePath);
+
+  const output = await runGit(args, cwd);
+  const commits = new Map();
+  const lines = [];
+  let current = null;
+
+  for (const row of output.split("\n")) {
+    const header = row.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+    if (header) {
+      if (!commits.has(header[1])) commits.set(header[1], { hash: header[1].slice(0, 7) });
+      current = { commit: commits.get(header[1]), line: Number(header[2]) };
+    } else if (row.startsWith("\t") && current) {
+      lines.push({ line: current.line, ...current.commit, text: row.slice(1) });
+    } else if (current) {
+      const [key, ...rest] = row.split(" ");
+      const value = rest.join(" ");
+      if (key === "author") current.commit.author = value;
+      if (key === "author-time") current.commit.date = new Date(Number(value) * 1000).toISOString().slice(0, 10);
+      if (key === "summary") current.commit.summary = value;
+    }
+  }
+
+  return lines;
+}
@@ -0,0 +1,120 @@
+// Content Search - Pure Node grep over the workspace (no ripgrep needed)
+
+import fs from "fs";
+
+import { walkFiles, createGlobMatcher } from "./walk.js";
+import { isBinaryBuffer } from "./files.js";
+
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+const MAX_LINE_LENGTH = 300;
+
+/**
+ * Search file contents under a directory
+ * @param {string} rootDir - Absolute directory to search
+ * @param {Object} options - See grep_files tool schema; baseDir sets what output paths are relative to
+ * @returns {Object} { matches, filesWithMatches, filesSearched, truncated, output }
+ * @throws {Error} When the pattern is not a valid regular expression
+ */
+export function grepFiles(rootDir, options) {
+  const {
+    pattern,
+    literal = false,
+    ignoreCase = false,
+    include,
+    exclude,
+    contextLines = 0,
+    maxMatches = 100,
+    respectIgnore = true,
+    baseDir = rootDir,
+  } = options;
+
+  const regex = buildRegex(pattern, { literal, ignoreCase });
+  const isIncluded = createGlobMatcher(include);
+  const isExcluded = createGlobMatcher(exclude);
+
+  const blocks = [];
+  let matches = 0;
+  let filesWithMatches = 0;
+  let filesSearched = 0;
+  let truncated = false;
+
+  for (const { fullPath, relPath } of walkFiles(rootDir, { respectIgnore, baseDir })) {
+    if (isIncluded && !isIncluded(relPath)) continue;
+    if (isExcluded && isExcluded(relPath)) continue;
+
+    let buffer;
+    try {
+      if (fs.statSync(fullPath).size > MAX_FILE_SIZE) continue;
+      buffer = fs.readFileSync(fullPath);
+    } catch (error) {
+      continue;
+    }
+    if (isBinaryBuffer(buffer)) continue;
+
+    filesSearched++;
+    const lines = buffer.toString("utf-8").split(/\r?\n/);
+    const hitLines = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      if (regex.test(lines[i])) {
+        if (matches >= maxMatches) {
+          truncated = true;
+          break;
+        }
+        hitLines.push(i);
+        matches++;
+      }
+    }
+
+    if (hitLines.length > 0) {
+      filesWithMatches++;
+      blocks.push(formatFileMatches(relPath, lines, hitLines, contextLines));
+    }
+    if (truncated) break;
+  }
+
+  return {
+    matches,
+    filesWithMatches,
+    filesSearched,
+    truncated,
+    output: blocks.join(contextLines > 0 ? "\n--\n" : "\n"),
+  };
+}
+
+function buildRegex(pattern, { literal, ignoreCase }) {
+  const source = literal ? pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") : pattern;
+  try {
+    return new RegExp(source, ignoreCase ? "i" : "");
+  } catch (error) {
+    throw new Error(`Invalid regular expression "${pattern}": ${error.message}. Set literal=true to search for the exact text.`);
+  }
+}
+
+// ripgrep-style output: "file:line:text" for matches, "file-line-text" for context
+function formatFileMatches(relPath, lines, hitLines, contextLines) {
+  const hits = new Set(hitLines);
+  const shown = new Set();
+
+  for (const line of hitLines) {
+    const from = Math.max(0, line - contextLines);
+    const to = Math.min(lines.length - 1, line + contextLines);
+    for (let i = from; i <= to; i++) shown.add(i);
+  }
+
+  const output = [];
+  let previous = null;
+
+  for (const i of [...shown].sort((a, b) => a - b)) {
+    if (contextLines > 0 && previous !== null && i > previous + 1) output.push("--");
+    const separator = hits.has(i) ? ":" : "-";
+    output.push(`${relPath}${separator}${i + 1}${separator}${clip(lines[i])}`);
+    previous = i;
+  }
+
+  return output.join("\n");
+}
+
+function clip(line) {
+  return line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH)}...` : line;
+}
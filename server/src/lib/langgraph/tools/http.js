@@ -0,0 +1,202 @@
+// HTTP Client - fetch wrapper for the agent's HTTP tools: host allow/deny lists,
+// timeouts, redirects that are re-checked against the lists, and truncated bodies
+
+import dns from "dns/promises";
+import net from "net";
+
+import { config } from "../../../config/google.config.js";
+import { isBinaryBuffer } from "./files.js";
+
+const MAX_REDIRECTS = 5;
+
+// Bytes downloaded per body: enough for maxBodyChars of UTF-8 text (up to 4 bytes
+// a character), at least 64 KB so binary bodies can still be sniffed and sized
+const BYTES_PER_CHAR = 4;
+const MIN_BODY_BYTES = 64 * 1024;
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast and reserved
+// ranges. BlockList also applies the IPv4 ranges to IPv4-mapped IPv6 ("::ffff:127.0.0.1").
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+// Headers worth showing the model; the rest are mostly noise
+const SELECTED_HEADERS = [
+  "content-type",
+  "content-length",
+  "location",
+  "etag",
+  "last-modified",
+  "cache-control",
+  "retry-after",
+  "www-authenticate",
+  "x-request-id",
+];
+
+/**
+ * Check a URL against the host allowlist and denylist
+ * @param {string|URL} url - Absolute http(s) URL
+ * @param {Object} hosts - { allowHosts?, denyHosts? } overriding config.http
+ * @returns {URL} Parsed URL
+ * @throws {Error} When the URL is invalid, not http(s), or the host isn't allowed
+ */
+export function assertUrlAllowed(url, hosts = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid URL "${url}". Use an absolute URL such as http://localhost:3000/api`);
+  }
+
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new Error(`Unsupported protocol "${parsed.protocol}". Only http and https URLs are allowed`);
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  const { allowHosts = config.http.allowHosts, denyHosts = config.http.denyHosts } = hosts;
+
+  if (denyHosts.some((pattern) => hostMatches(host, pattern))) {
+    throw new Error(`Host "${host}" is on the denylist (APEX_HTTP_DENY_HOSTS)`);
+  }
+  if (!allowHosts.some((pattern) => hostMatches(host, pattern))) {
+    throw new Error(
+      `Host "${host}" is not on the allowlist (${allowHosts.join(", ") || "empty"}). ` +
+      `Add it to APEX_HTTP_ALLOW_HOSTS to let the agent call it`,
+    );
+  }
+
+  return parsed;
+}
+
+/**
+ * Check that a URL's host only resolves to public addresses
+ * @param {URL} url - Parsed URL
+ * @throws {Error} When the host can't be resolved or resolves to a loopback, private or link-local address
+ */
+export async function assertPublicHost(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true });
+  } catch (error) {
+    throw new Error(`Could not resolve host "${host}" (${error.code || error.message})`);
+  }
+
+  const blocked = addresses.find(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4"));
+  if (blocked) {
+    throw new Error(`Host "${host}" resolves to a local or private address (${blocked.address}), which isn't allowed here`);
+  }
+}
+
+/**
+ * Send an HTTP request, following redirects only to allowed hosts
+ * @param {string} url - Absolute http(s) URL
+ * @param {Object} options - { method?, headers?, body?, timeoutMs, maxBodyChars?, hosts?, publicOnly? }
+ *   (hosts as for assertUrlAllowed; publicOnly runs assertPublicHost before every request and redirect)
+ * @returns {Promise<Object>} { status, statusText, url, redirects, headers, contentType, body, bodyLength, binary,
+ *   truncated, complete, durationMs } where complete is false when the download stopped at the byte cap
+ *   (bodyLength is then only what was read)
+ * @throws {Error} On blocked hosts, network errors and timeouts
+ */
+export async function sendHttpRequest(url, options) {
+  const { headers = {}, timeoutMs, maxBodyChars = config.http.maxBodyChars, hosts, publicOnly = false } = options;
+  let method = (options.method || "GET").toUpperCase();
+  let body = options.body;
+
+  const startedAt = Date.now();
+  const signal = AbortSignal.timeout(timeoutMs);
+  let current = assertUrlAllowed(url, hosts);
+  const redirects = [];
+  let response;
+
+  try {
+    for (;;) {
+      // fetch resolves the name again, so a DNS answer that changes in between isn't caught
+      if (publicOnly) await assertPublicHost(current);
+      response = await fetch(current, { method, headers, body, signal, redirect: "manual" });
+
+      const location = response.headers.get("location");
+      if (response.status < 300 || response.status >= 400 || !location) break;
+
+      if (redirects.length >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+      }
+      await response.body?.cancel();
+
+      current = assertUrlAllowed(new URL(location, current), hosts);
+      redirects.push(current.href);
+
+      // Same rules as browsers: 303 (and 301/302 after a POST) become a GET without a body
+      if (response.status === 303 || ([301, 302].includes(response.status) && method === "POST")) {
+        method = "GET";
+        body = undefined;
+      }
+    }
+
+    const { buffer, complete } = await readBody(response, Math.max(maxBodyChars * BYTES_PER_CHAR, MIN_BODY_BYTES));
+    const contentType = response.headers.get("content-type") || "";
+    const binary = !isTextContentType(contentType) && isBinaryBuffer(buffer);
+    const text = binary ? "" : buffer.toString("utf-8");
+
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      url: current.href,
+      redirects,
+      headers: Object.fromEntries(
+        SELECTED_HEADERS.filter((name) => response.headers.has(name)).map((name) => [name, response.headers.get(name)]),
+      ),
+      contentType,
+      body: text.slice(0, maxBodyChars),
+      bodyLength: binary ? buffer.length : text.length,
+      binary,
+      truncated: text.length > maxBodyChars || !complete,
+      complete,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    if (error.name === "TimeoutError") {
+      throw new Error(`Request timed out after ${Math.round(timeoutMs / 1000)}s`);
+    }
+    throw new Error(error.cause?.message ? `${error.message} (${error.cause.message})` : error.message);
+  }
+}
+
+// Read a response body up to maxBytes, then cancel the rest of the download
+async function readBody(response, maxBytes) {
+  if (!response.body) return { buffer: Buffer.alloc(0), complete: true };
+
+  const chunks = [];
+  let size = 0;
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return { buffer: Buffer.concat(chunks, size), complete: true };
+
+    chunks.push(value);
+    size += value.length;
+    if (size >= maxBytes) {
+      await reader.cancel().catch(() => {});
+      return { buffer: Buffer.concat(chunks, size).subarray(0, maxBytes), complete: false };
+    }
+  }
+}
+
+function hostMatches(host, pattern) {
+  const normalized = pattern.replace(/^\[|\]$/g, "").toLowerCase();
+  if (normalized === "*") return true;
+  if (normalized.startsWith("*.")) return host.endsWith(normalized.slice(1));
+  return host === normalized;
+}
+
+function isTextContentType(contentType) {
+  return /^text\/|json|xml|javascript|x-www-form-urlencoded/i.test(contentType);
+}
@@ -0,0 +1,92 @@
+// Code Sandbox - Run JavaScript/Python snippets in a throwaway directory with
+// CPU, memory and wall-clock limits and an environment stripped of secrets.
+// CPU and memory limits use ulimit: the memory limit (ulimit -v) only holds on Linux,
+// and on Windows only the wall clock applies.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { runShellCommand } from "./shell.js";
+
+const LANGUAGES = {
+  javascript: {
+    file: "main.mjs",
+    command: (memoryMb) => `node --max-old-space-size=${memoryMb} main.mjs`,
+    // The heap flag doesn't cover Buffers and native memory, so ulimit -v applies too. V8
+    // reserves ~750 MB of address space before running anything; that comes on top.
+    addressSpaceOverheadMb: 1024,
+  },
+  python: {
+    file: "main.py",
+    command: () => `${process.platform === "win32" ? "python" : "python3"} -I main.py`,
+    addressSpaceOverheadMb: 0,
+  },
+};
+
+// Variables a snippet may see; everything else (API keys, tokens) stays behind
+const PASSTHROUGH_ENV = ["PATH", "LANG", "LC_ALL", "TZ", "SYSTEMROOT", "COMSPEC", "PATHEXT", "WINDIR"];
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+/**
+ * Run a code snippet in a fresh temp directory
+ * @param {string} code - Source code
+ * @param {string} language - "javascript" or "python"
+ * @param {Object} limits - { timeoutMs, cpuSeconds, memoryMb }
+ * @returns {Promise<Object>} runShellCommand result plus { limits } with the limits that were applied
+ *   (cpuSeconds and memoryMb are null where they can't be enforced)
+ */
+export async function runCodeSnippet(code, language, { timeoutMs, cpuSeconds, memoryMb }) {
+  const runtime = LANGUAGES[language];
+  if (!runtime) {
+    throw new Error(`Unsupported language "${language}". Supported: ${SUPPORTED_LANGUAGES.join(", ")}`);
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "apex-code-"));
+
+  try {
+    fs.writeFileSync(path.join(workDir, runtime.file), code);
+
+    const limitCpu = process.platform !== "win32";
+    const limitMemory = process.platform === "linux";
+    const ulimits = [];
+    if (limitCpu) ulimits.push(`ulimit -t ${cpuSeconds}`);
+    if (limitMemory) ulimits.push(`ulimit -v ${(memoryMb + runtime.addressSpaceOverheadMb) * 1024}`);
+
+    let command = runtime.command(memoryMb);
+    if (ulimits.length > 0) command = `${ulimits.join(" && ")} && exec ${command}`;
+
+    const result = await runShellCommand(command, {
+      cwd: workDir,
+      timeoutMs,
+      env: buildSandboxEnv(workDir),
+    });
+
+    return {
+      ...result,
+      limits: { timeoutMs, cpuSeconds: limitCpu ? cpuSeconds : null, memoryMb: limitMemory ? memoryMb : null },
+    };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+function buildSandboxEnv(workDir) {
+  const env = {};
+  for (const name of PASSTHROUGH_ENV) {
+    if (process.env[name] !== undefined) env[name] = process.env[name];
+  }
+
+  return {
+    ...env,
+    HOME: workDir,
+    USERPROFILE: workDir,
+    TMPDIR: workDir,
+    TEMP: workDir,
+    TMP: workDir,
+    PYTHONDONTWRITEBYTECODE: "1",
+    PYTHONUNBUFFERED: "1",
+    NODE_OPTIONS: "",
+  };
+}
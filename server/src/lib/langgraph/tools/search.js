@@ -0,0 +1,129 @@
+// Web Search - Provider interface behind the web_search tool
+// Every provider returns the same { title, url, snippet } list so results can be fed to web_fetch
+
+import { config } from "../../../config/google.config.js";
+import { sendHttpRequest } from "./http.js";
+
+const MAX_SNIPPET_CHARS = 300;
+const MAX_RESPONSE_CHARS = 1024 * 1024;
+
+// A provider is async (query, { limit, timeoutMs }) => [{ title, url, snippet }]
+const providers = {
+  duckduckgo: searchDuckDuckGo,
+  searxng: searchSearxng,
+};
+
+/**
+ * Add or replace a search provider
+ * @param {string} name - Value for APEX_SEARCH_PROVIDER
+ * @param {Function} provider - async (query, { limit, timeoutMs }) => [{ title, url, snippet }]
+ */
+export function registerSearchProvider(name, provider) {
+  providers[name] = provider;
+}
+
+export function getSearchProviderNames() {
+  return Object.keys(providers);
+}
+
+/**
+ * Search the web with the configured (or given) provider
+ * @param {string} query - Search query
+ * @param {Object} options - { provider?: string, limit?: number }
+ * @returns {Promise<Object>} { provider, results: [{ title, url, snippet }] }
+ * @throws {Error} When the provider is unknown or the request fails
+ */
+export async function searchWeb(query, options = {}) {
+  const name = options.provider || config.search.provider;
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown search provider "${name}". Available: ${getSearchProviderNames().join(", ")}`);
+  }
+
+  const limit = options.limit || config.search.maxResults;
+  const results = await provider(query, {
+    limit,
+    timeoutMs: config.http.defaultTimeoutSeconds * 1000,
+  });
+
+  return { provider: name, results: dedupe(results).slice(0, limit) };
+}
+
+async function searchDuckDuckGo(query, { timeoutMs }) {
+  const url = `https://api.duckduckgo.com/?q=${encodeURIComponent(query)}&format=json&no_html=1&skip_disambig=1`;
+  const data = await getJson(url, timeoutMs);
+  const results = [];
+
+  if (data.Abstract) {
+    results.push(normalize(data.Heading || query, data.AbstractURL, data.Abstract));
+  }
+  if (data.Answer) {
+    results.push(normalize(`Answer: ${data.Answer}`, data.AbstractURL, data.Answer));
+  }
+  if (data.Definition) {
+    results.push(normalize(`Definition (${data.DefinitionSource || "dictionary"})`, data.DefinitionURL, data.Definition));
+  }
+
+  // Related topics can be nested one level into categories
+  const topics = [...(data.Results || []), ...(data.RelatedTopics || [])]
+    .flatMap((topic) => (topic.Topics ? topic.Topics : [topic]));
+
+  for (const topic of topics) {
+    if (!topic.Text || !topic.FirstURL) continue;
+    const [title] = topic.Text.split(" - ");
+    results.push(normalize(title, topic.FirstURL, topic.Text));
+  }
+
+  return results;
+}
+
+async function searchSearxng(query, { limit, timeoutMs }) {
+  const url = new URL("search", config.search.searxngUrl.replace(/\/?$/, "/"));
+  url.searchParams.set("q", query);
+  url.searchParams.set("format", "json");
+
+  const data = await getJson(url.href, timeoutMs);
+  return (data.results || [])
+    .slice(0, limit)
+    .map((result) => normalize(result.title, result.url, result.content));
+}
+
+async function getJson(url, timeoutMs) {
+  const response = await sendHttpRequest(url, {
+    method: "GET",
+    headers: { Accept: "application/json" },
+    timeoutMs,
+    maxBodyChars: MAX_RESPONSE_CHARS,
+    hosts: { allowHosts: ["*"] },
+  });
+
+  if (response.status >= 400) {
+    throw new Error(`Search request failed with HTTP ${response.status} ${response.statusText}`);
+  }
+
+  try {
+    return JSON.parse(response.body);
+  } catch (error) {
+    throw new Error(`Search provider did not return JSON (${response.contentType || "unknown content type"})`);
+  }
+}
+
+function normalize(title, url, snippet) {
+  const clean = (text) => String(text || "").replace(/\s+/g, " ").trim();
+  const text = clean(snippet);
+  return {
+    title: clean(title) || url || "(untitled)",
+    url: url || "",
+    snippet: text.length > MAX_SNIPPET_CHARS ? `${text.slice(0, MAX_SNIPPET_CHARS)}...` : text,
+  };
+}
+
+function dedupe(results) {
+  const seen = new Set();
+  return results.filter((result) => {
+    const key = `${result.url}\n${result.snippet}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -0,0 +1,152 @@
+// Shell Runner - Spawn commands in their own process group, stream output live,
+// and keep only the head and tail of long output for the model
+
+import { spawn, spawnSync } from "child_process";
+
+const HEAD_CHARS = 2000;
+const TAIL_CHARS = 3000;
+const KILL_GRACE_MS = 2000;
+
+const running = new Set();
+let outputHandler = null;
+
+/**
+ * Send live command output somewhere (e.g. the terminal during `apex agent`)
+ * @param {Function|null} handler - (chunk: string, stream: "stdout"|"stderr") => void
+ */
+export function setShellOutputHandler(handler) {
+  outputHandler = handler;
+}
+
+/**
+ * Kill every command that is still running, including its child processes
+ * @returns {number} How many commands were cancelled
+ */
+export function cancelRunningCommands() {
+  const count = running.size;
+  for (const child of running) {
+    child.cancelled = true;
+    terminate(child);
+  }
+  return count;
+}
+
+/**
+ * Run a shell command
+ * @param {string} command - Command line, run through the system shell
+ * @param {Object} options - { cwd: string, timeoutMs: number, env?: Object }
+ * @returns {Promise<Object>} { exitCode, signal, timedOut, cancelled, stdout, stderr, durationMs }
+ */
+export function runShellCommand(command, { cwd, timeoutMs, env = process.env }) {
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    const stdout = new HeadTailBuffer();
+    const stderr = new HeadTailBuffer();
+
+    const child = spawn(command, {
+      cwd,
+      env,
+      shell: true,
+      // Own process group so Ctrl+C / timeouts can take down the whole tree
+      detached: process.platform !== "win32",
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    running.add(child);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      terminate(child);
+    }, timeoutMs);
+
+    // Decode as a stream so a multi-byte character split across chunks stays whole
+    const onData = (buffer, stream) => (text) => {
+      buffer.push(text);
+      outputHandler?.(text, stream);
+    };
+    child.stdout.setEncoding("utf8");
+    child.stderr.setEncoding("utf8");
+    child.stdout.on("data", onData(stdout, "stdout"));
+    child.stderr.on("data", onData(stderr, "stderr"));
+
+    const finish = (exitCode, signal, error = null) => {
+      clearTimeout(timer);
+      running.delete(child);
+
+      resolve({
+        exitCode,
+        signal,
+        timedOut,
+        cancelled: Boolean(child.cancelled),
+        error,
+        stdout: stdout.toString(),
+        stderr: stderr.toString(),
+        durationMs: Date.now() - startedAt,
+      });
+    };
+
+    child.on("error", (error) => finish(null, null, error.message));
+    child.on("close", (exitCode, signal) => finish(exitCode, signal));
+  });
+}
+
+/**
+ * Quote one argument for the system shell
+ * @param {string} arg - Argument
+ * @returns {string} The argument, quoted only when it needs to be
+ */
+export function shellQuote(arg) {
+  if (/^[\w@%+=:,./-]+$/.test(arg)) return arg;
+  if (process.platform === "win32") return `"${arg.replace(/"/g, '\\"')}"`;
+  return `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+// SIGTERM the whole group, then SIGKILL whatever ignored it
+function terminate(child) {
+  killProcessGroup(child, "SIGTERM");
+  setTimeout(() => killProcessGroup(child, "SIGKILL"), KILL_GRACE_MS).unref();
+}
+
+function killProcessGroup(child, signal) {
+  try {
+    if (process.platform === "win32") {
+      spawnSync("taskkill", ["/pid", String(child.pid), "/T", "/F"]);
+    } else {
+      process.kill(-child.pid, signal);
+    }
+  } catch (error) {
+    // Already gone
+  }
+}
+
+// Keeps the first and last part of a stream without holding all of it in memory
+class HeadTailBuffer {
+
+  constructor(headChars = HEAD_CHARS, tailChars = TAIL_CHARS) {
+    this.headChars = headChars;
+    this.tailChars = tailChars;
+    this.head = "";
+    this.tail = "";
+    this.total = 0;
+  }
+
+  push(text) {
+    this.total += text.length;
+
+    if (this.head.length < this.headChars) {
+      const room = this.headChars - this.head.length;
+      this.head += text.slice(0, room);
+      text = text.slice(room);
+    }
+
+    if (text) {
+      this.tail = (this.tail + text).slice(-this.tailChars);
+    }
+  }
+
+  toString() {
+    const omitted = this.total - this.head.length - this.tail.length;
+    if (omitted <= 0) return this.head + this.tail;
+    return `${this.head}\n\n... [${omitted} characters omitted] ...\n\n${this.tail}`;
+  }
+}
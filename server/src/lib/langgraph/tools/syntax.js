@@ -0,0 +1,114 @@
+// Syntax Check - Parse JavaScript, TypeScript, JSON and YAML before write_file
+// saves it, and point at the first error with a caret under the offending column
+
+import path from "path";
+import { parse as parseScript } from "@babel/parser";
+import { parseAllDocuments } from "yaml";
+
+import { formatNumberedLines } from "./files.js";
+
+const CONTEXT_LINES = 2;
+
+// JSON files that are conventionally allowed to contain comments
+const JSONC_FILE = /(^|\/)(tsconfig.*|jsconfig.*|\.vscode\/.*|devcontainer|\.eslintrc)\.json$/;
+
+// Decorators as people write them: the TC39 proposal in JavaScript, the legacy
+// experimentalDecorators flavour (Angular, NestJS, TypeORM) in TypeScript
+const JS_PLUGINS = ["jsx", ["decorators", { decoratorsBeforeExport: true }]];
+const TS_PLUGINS = ["typescript", "decorators-legacy"];
+
+const LANGUAGES = {
+  ".js": { name: "JavaScript", check: (content) => checkScript(content, { sourceType: "unambiguous", plugins: JS_PLUGINS }) },
+  ".jsx": { name: "JSX", check: (content) => checkScript(content, { sourceType: "unambiguous", plugins: JS_PLUGINS }) },
+  ".mjs": { name: "JavaScript module", check: (content) => checkScript(content, { sourceType: "module", plugins: JS_PLUGINS }) },
+  ".cjs": { name: "CommonJS", check: (content) => checkScript(content, { sourceType: "script", allowReturnOutsideFunction: true }) },
+  ".ts": { name: "TypeScript", check: (content) => checkScript(content, { sourceType: "module", plugins: TS_PLUGINS }) },
+  ".mts": { name: "TypeScript", check: (content) => checkScript(content, { sourceType: "module", plugins: TS_PLUGINS }) },
+  ".cts": { name: "TypeScript", check: (content) => checkScript(content, { sourceType: "module", plugins: TS_PLUGINS }) },
+  ".tsx": { name: "TSX", check: (content) => checkScript(content, { sourceType: "module", plugins: [...TS_PLUGINS, "jsx"] }) },
+  ".json": { name: "JSON", check: checkJson },
+  ".yaml": { name: "YAML", check: checkYaml },
+  ".yml": { name: "YAML", check: checkYaml },
+};
+
+/**
+ * Parse content the way its file extension says it should parse
+ * @param {string} filePath - Target file (only the extension and name matter)
+ * @param {string} content - Proposed file content
+ * @returns {Object|null} { language, line, column, message } for the first error, or null when
+ *   the content parses (or the file type isn't checked)
+ */
+export function checkSyntax(filePath, content) {
+  const language = LANGUAGES[path.extname(filePath).toLowerCase()];
+  if (!language) return null;
+  if (language.name === "JSON" && JSONC_FILE.test(filePath.replace(/\\/g, "/"))) return null;
+
+  const error = language.check(content);
+  return error ? { language: language.name, ...error } : null;
+}
+
+/**
+ * Describe a syntax error with the surrounding lines and a caret
+ * @param {string} filePath - File name to show
+ * @param {string} content - Content that failed to parse
+ * @param {Object} error - Result of checkSyntax
+ * @returns {string} Multi-line description
+ */
+export function formatSyntaxError(filePath, content, error) {
+  const lines = content.split("\n");
+  const first = Math.max(error.line - CONTEXT_LINES, 1);
+  const last = Math.min(error.line, lines.length);
+  const width = String(last).length;
+
+  let output = `${error.language} syntax error in ${filePath} at line ${error.line}, column ${error.column}: ${error.message}`;
+  if (last >= first) {
+    output += `\n${formatNumberedLines(lines.slice(first - 1, last), first, last)}`;
+    output += `\n${" ".repeat(width)} | ${" ".repeat(Math.max(error.column - 1, 0))}^`;
+  }
+  return output;
+}
+
+function checkScript(content, options) {
+  try {
+    parseScript(content, { ...options, errorRecovery: false });
+    return null;
+  } catch (error) {
+    if (!error.loc) throw error;
+    return {
+      line: error.loc.line,
+      column: error.loc.column + 1,
+      message: error.message.replace(/\s*\(\d+:\d+\)$/, ""),
+    };
+  }
+}
+
+function checkJson(content) {
+  try {
+    JSON.parse(content);
+    return null;
+  } catch (error) {
+    // V8 reports a character offset ("... in JSON at position 42") or nothing at the end of input
+    const position = Number(error.message.match(/at position (\d+)/)?.[1] ?? content.length);
+    const before = content.slice(0, position).split("\n");
+    return {
+      line: before.length,
+      column: before[before.length - 1].length + 1,
+      message: error.message.replace(/\s*in JSON at position \d+.*$/, "").replace(/^JSON\.parse: /, ""),
+    };
+  }
+}
+
+function checkYaml(content) {
+  for (const document of parseAllDocuments(content)) {
+    const error = document.errors?.[0];
+    if (error) {
+      const position = error.linePos?.[0] || { line: 1, col: 1 };
+      return {
+        line: position.line,
+        column: position.col,
+        message: error.message.split("\n")[0].replace(/ at line \d+, column \d+:?$/, ""),
+      };
+    }
+  }
+  return null;
+}
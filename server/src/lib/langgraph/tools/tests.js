@@ -0,0 +1,405 @@
+// Test Runner - Detect the project's test framework, run it with a machine-readable
+// reporter and turn the report into pass/fail counts plus compact failure details
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { runShellCommand, shellQuote } from "./shell.js";
+import { toPosix } from "./walk.js";
+
+const MAX_MESSAGE_CHARS = 800;
+const MAX_STACK_LINES = 5;
+
+// How to run each framework; report is the file its machine-readable reporter writes to
+const FRAMEWORKS = {
+  vitest: {
+    command: ({ files, namePattern, report }) =>
+      ["npx", "--no-install", "vitest", "run", "--reporter=json", `--outputFile=${report}`,
+        ...(namePattern ? ["-t", namePattern] : []), ...files],
+    parse: ({ report, cwd }) => parseJestReport(readJson(report), cwd),
+  },
+  jest: {
+    command: ({ files, namePattern, report }) =>
+      ["npx", "--no-install", "jest", "--json", `--outputFile=${report}`, "--testLocationInResults",
+        ...(namePattern ? ["-t", namePattern] : []), ...files],
+    parse: ({ report, cwd }) => parseJestReport(readJson(report), cwd),
+  },
+  mocha: {
+    command: ({ files, namePattern, report }) =>
+      ["npx", "--no-install", "mocha", "--reporter", "json", "--reporter-option", `output=${report}`,
+        ...(namePattern ? ["--grep", namePattern] : []), ...files],
+    parse: ({ report, cwd }) => parseMochaReport(readJson(report), cwd),
+  },
+  "node:test": {
+    // Readable output for the terminal, TAP for us
+    command: ({ files, namePattern, report }) =>
+      ["node", "--test", "--test-reporter=spec", "--test-reporter-destination=stdout",
+        "--test-reporter=tap", `--test-reporter-destination=${report}`,
+        ...(namePattern ? [`--test-name-pattern=${namePattern}`] : []), ...files],
+    parse: ({ report, cwd }) => parseTap(fs.readFileSync(report, "utf-8"), cwd),
+  },
+  pytest: {
+    command: ({ files, namePattern, report }) =>
+      [process.platform === "win32" ? "python" : "python3", "-m", "pytest", "-q", `--junitxml=${report}`,
+        ...(namePattern ? ["-k", namePattern] : []), ...files],
+    parse: ({ report, cwd }) => parseJunitXml(fs.readFileSync(report, "utf-8"), cwd),
+  },
+};
+
+export const TEST_FRAMEWORKS = Object.keys(FRAMEWORKS);
+
+// JavaScript runners in detection order, with the test script and config file that give them away
+const JS_RUNNERS = [
+  { framework: "vitest", script: /\bvitest\b/, config: /^vitest\.config\./ },
+  { framework: "jest", script: /\bjest\b/, config: /^jest\.config\./ },
+  { framework: "mocha", script: /\bmocha\b/, config: /^\.mocharc/ },
+  { framework: "node:test", script: /\bnode\s+(?:[^&|;]*\s)?--test\b/, config: null },
+];
+
+/**
+ * Work out which test framework a project uses
+ * @param {string} dir - Project directory
+ * @returns {Object|null} { framework, reason } or null when nothing was recognised
+ */
+export function detectTestFramework(dir) {
+  const pkg = readJson(path.join(dir, "package.json"));
+  const has = (pattern) => fs.readdirSync(dir).some((name) => pattern.test(name));
+
+  if (pkg) {
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    const testScript = pkg.scripts?.test || "";
+
+    // What the test script runs wins over what happens to be installed
+    const scripted = JS_RUNNERS.find(({ script }) => script.test(testScript));
+    if (scripted) {
+      return { framework: scripted.framework, reason: "package.json test script" };
+    }
+
+    const configured = JS_RUNNERS.find(({ config }) => config && has(config));
+    if (configured) {
+      return { framework: configured.framework, reason: `${configured.framework} config file` };
+    }
+
+    const installed = JS_RUNNERS.find(({ framework }) => deps[framework] || (framework === "jest" && pkg.jest));
+    if (installed) {
+      return { framework: installed.framework, reason: `${installed.framework} in package.json` };
+    }
+  }
+
+  const pyproject = fs.existsSync(path.join(dir, "pyproject.toml"))
+    ? fs.readFileSync(path.join(dir, "pyproject.toml"), "utf-8")
+    : "";
+  if (has(/^(pytest\.ini|conftest\.py|tox\.ini)$/) || pyproject.includes("[tool.pytest")) {
+    return { framework: "pytest", reason: "pytest configuration" };
+  }
+  if (fs.existsSync(path.join(dir, "tests")) && fs.readdirSync(path.join(dir, "tests")).some((name) => /^test_.*\.py$/.test(name))) {
+    return { framework: "pytest", reason: "tests/test_*.py files" };
+  }
+
+  if (pkg) {
+    return { framework: "node:test", reason: "package.json without a known test framework" };
+  }
+  return null;
+}
+
+/**
+ * Run the tests and parse the results
+ * @param {string} cwd - Project directory
+ * @param {Object} options - { framework, files?: string[], namePattern?: string, timeoutMs }
+ * @returns {Promise<Object>} { framework, command, exitCode, timedOut, cancelled, durationMs,
+ *   summary: { passed, failed, skipped, total } | null, failures: [{ name, location, message, stack }], output }
+ */
+export async function runTests(cwd, { framework, files = [], namePattern, timeoutMs }) {
+  const runner = FRAMEWORKS[framework];
+  if (!runner) {
+    throw new Error(`Unsupported test framework "${framework}". Supported: ${TEST_FRAMEWORKS.join(", ")}`);
+  }
+
+  const reportDir = fs.mkdtempSync(path.join(os.tmpdir(), "apex-tests-"));
+  const report = path.join(reportDir, "report");
+
+  try {
+    const command = runner.command({ files, namePattern, report }).map(shellQuote).join(" ");
+    const result = await runShellCommand(command, {
+      cwd,
+      timeoutMs,
+      env: { ...process.env, CI: "1", FORCE_COLOR: "0", NO_COLOR: "1" },
+    });
+
+    let parsed = null;
+    try {
+      parsed = runner.parse({ report, cwd });
+    } catch (error) {
+      // No report (crash before the reporter ran, missing framework): fall back to raw output
+    }
+
+    return {
+      framework,
+      command,
+      exitCode: result.exitCode,
+      timedOut: result.timedOut,
+      cancelled: result.cancelled,
+      error: result.error,
+      durationMs: result.durationMs,
+      summary: parsed?.summary || null,
+      failures: parsed?.failures || [],
+      output: [result.stdout, result.stderr].filter(Boolean).join("\n").trim(),
+    };
+  } finally {
+    fs.rmSync(reportDir, { recursive: true, force: true });
+  }
+}
+
+// Jest and Vitest share this JSON format
+function parseJestReport(report, cwd) {
+  if (!report) throw new Error("No report");
+  const failures = [];
+
+  for (const file of report.testResults || []) {
+    const filePath = relativePath(file.name || file.testFilePath, cwd);
+
+    for (const test of file.assertionResults || []) {
+      if (test.status !== "failed") continue;
+      const text = stripAnsi((test.failureMessages || []).join("\n"));
+      const { message, stack } = splitStack(text);
+      failures.push({
+        name: test.fullName || [...(test.ancestorTitles || []), test.title].join(" › "),
+        location: findLocation(stack, filePath, cwd) || (test.location ? `${filePath}:${test.location.line}` : filePath),
+        message,
+        stack: trimStack(stack),
+      });
+    }
+
+    // Whole file failed to run (syntax error, failing import)
+    if (file.status === "failed" && (file.assertionResults || []).length === 0 && file.message) {
+      const { message, stack } = splitStack(stripAnsi(file.message));
+      failures.push({ name: `${filePath} (failed to run)`, location: filePath, message, stack: trimStack(stack) });
+    }
+  }
+
+  return {
+    summary: {
+      passed: report.numPassedTests || 0,
+      failed: report.numFailedTests || 0,
+      skipped: (report.numPendingTests || 0) + (report.numTodoTests || 0),
+      total: report.numTotalTests || 0,
+    },
+    failures,
+  };
+}
+
+function parseMochaReport(report, cwd) {
+  if (!report) throw new Error("No report");
+
+  return {
+    summary: {
+      passed: report.stats?.passes || 0,
+      failed: report.stats?.failures || 0,
+      skipped: report.stats?.pending || 0,
+      total: report.stats?.tests || 0,
+    },
+    failures: (report.failures || []).map((test) => {
+      const filePath = relativePath(test.file, cwd);
+      const { stack } = splitStack(test.err?.stack || "");
+      return {
+        name: test.fullTitle,
+        location: findLocation(stack, filePath, cwd) || filePath,
+        message: clip((test.err?.message || "Test failed").trim()),
+        stack: trimStack(stack),
+      };
+    }),
+  };
+}
+
+// node --test TAP output: "# Subtest:" lines give the hierarchy, YAML blocks the details
+function parseTap(output, cwd) {
+  const lines = output.split(/\r?\n/);
+  const counts = {};
+  const failures = [];
+  const names = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const subtest = line.match(/^(\s*)# Subtest: (.*)$/);
+    if (subtest) {
+      names[subtest[1].length / 4] = subtest[2];
+      names.length = subtest[1].length / 4 + 1;
+      continue;
+    }
+
+    const count = line.match(/^# (tests|pass|fail|skipped|todo|cancelled) (\d+)$/);
+    if (count) {
+      counts[count[1]] = Number(count[2]);
+      continue;
+    }
+
+    const failed = line.match(/^(\s*)not ok \d+ - (.*?)(?: # .*)?$/);
+    if (!failed) continue;
+
+    const depth = failed[1].length / 4;
+    const { fields, end } = readYamlBlock(lines, i + 1, failed[1].length + 2);
+    i = end;
+
+    // Suites fail when a child fails; the child is reported on its own
+    if (fields.failureType === "subtestsFailed") continue;
+
+    const stack = (fields.stack || "").split("\n").filter(Boolean).map((frame) => `at ${frame}`).join("\n");
+    failures.push({
+      name: [...names.slice(0, depth), failed[2]].join(" > "),
+      location: findLocation(stack, null, cwd) || relativeLocation(fields.location, cwd),
+      message: clip(fields.error || "Test failed"),
+      stack: trimStack(stack),
+    });
+  }
+
+  if (counts.tests === undefined) throw new Error("No TAP summary");
+
+  return {
+    summary: {
+      passed: counts.pass || 0,
+      failed: counts.fail || 0,
+      skipped: (counts.skipped || 0) + (counts.todo || 0),
+      total: counts.tests,
+    },
+    failures,
+  };
+}
+
+// Just enough YAML for node's TAP diagnostics: "key: value" and "key: |-" blocks
+function readYamlBlock(lines, start, indent) {
+  const fields = {};
+  if (lines[start]?.trim() !== "---") return { fields, end: start - 1 };
+
+  let i = start + 1;
+  while (i < lines.length && lines[i].trim() !== "...") {
+    const entry = lines[i].slice(indent).match(/^(\w+): (.*)$/);
+    i++;
+    if (!entry) continue;
+
+    const [, key, value] = entry;
+    if (value === "|-" || value === "|") {
+      const block = [];
+      while (i < lines.length && (lines[i].trim() === "" || lines[i].startsWith(" ".repeat(indent + 2)))) {
+        if (lines[i].trim() === "...") break;
+        block.push(lines[i].slice(indent + 2));
+        i++;
+      }
+      fields[key] = block.join("\n").trim();
+    } else {
+      fields[key] = value.replace(/^'(.*)'$/, "$1").replace(/''/g, "'");
+    }
+  }
+
+  return { fields, end: i };
+}
+
+function parseJunitXml(xml, cwd) {
+  const summary = { passed: 0, failed: 0, skipped: 0, total: 0 };
+  const failures = [];
+
+  for (const match of xml.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)) {
+    const attrs = parseAttributes(match[1]);
+    const body = match[2] || "";
+    summary.total++;
+
+    const failure = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+    if (failure) {
+      summary.failed++;
+      const details = decodeXml(failure[3] || "");
+      // The last "file.py:line: ErrorType" line of the traceback is where the test failed
+      const frames = [...details.matchAll(/^(\S+\.py):(\d+): /gm)];
+      const frame = frames[frames.length - 1];
+      const filePath = frame ? relativePath(path.resolve(cwd, frame[1]), cwd) : attrs.file || "";
+      failures.push({
+        name: [attrs.classname, attrs.name].filter(Boolean).join("::"),
+        location: frame ? `${filePath}:${frame[2]}` : filePath,
+        message: clip(parseAttributes(failure[2]).message || details.split("\n")[0] || "Test failed"),
+        stack: details.split("\n").filter((line) => /^(E |>|\S+:\d+:)/.test(line)).slice(-MAX_STACK_LINES).join("\n"),
+      });
+    } else if (/<skipped\b/.test(body)) {
+      summary.skipped++;
+    } else {
+      summary.passed++;
+    }
+  }
+
+  return { summary, failures };
+}
+
+function parseAttributes(text) {
+  const attrs = {};
+  for (const [, key, value] of text.matchAll(/(\w+)="([^"]*)"/g)) {
+    attrs[key] = decodeXml(value);
+  }
+  return attrs;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#10;/g, "\n")
+    .replace(/&amp;/g, "&");
+}
+
+// Message is everything before the first "    at ..." frame
+function splitStack(text) {
+  const lines = text.split("\n");
+  const firstFrame = lines.findIndex((line) => /^\s+at /.test(line));
+  if (firstFrame === -1) return { message: clip(text.trim()), stack: "" };
+  return {
+    message: clip(lines.slice(0, firstFrame).join("\n").trim()),
+    stack: lines.slice(firstFrame).join("\n"),
+  };
+}
+
+// First stack frame in the test file (or, failing that, in project code)
+function findLocation(stack, filePath, cwd) {
+  const frames = [...stack.matchAll(/(?:\(|at )((?:file:\/\/)?[^\s()]+?):(\d+):\d+\)?/g)]
+    .map(([, file, line]) => ({ file: relativePath(file.startsWith("file://") ? fileURLToPath(file) : file, cwd), line }))
+    .filter(({ file }) => !file.startsWith("node:") && !file.includes("node_modules"));
+
+  const frame = frames.find(({ file }) => file === filePath) || frames[0];
+  return frame ? `${frame.file}:${frame.line}` : null;
+}
+
+function trimStack(stack) {
+  return stack
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line && !line.includes("node_modules") && !/\(?node:|\(<anonymous>\)$/.test(line))
+    .slice(0, MAX_STACK_LINES)
+    .join("\n");
+}
+
+function relativeLocation(location, cwd) {
+  if (!location) return "";
+  const [, file, line] = location.match(/^(.*?):(\d+)(?::\d+)?$/) || [null, location, null];
+  return line ? `${relativePath(file, cwd)}:${line}` : relativePath(file, cwd);
+}
+
+function relativePath(file, cwd) {
+  if (!file) return "";
+  return path.isAbsolute(file) ? toPosix(path.relative(cwd, file)) : file;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+function stripAnsi(text) {
+  return text.replace(/\x1b\[[0-9;]*m/g, "");
+}
+
+function clip(text) {
+  return text.length > MAX_MESSAGE_CHARS ? `${text.slice(0, MAX_MESSAGE_CHARS)}...` : text;
+}
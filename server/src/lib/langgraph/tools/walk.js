@@ -0,0 +1,124 @@
+// Workspace Walker - Recursive directory traversal that honors .gitignore and .apexignore
+// Shared by the search tools so they agree on which files exist
+
+import fs from "fs";
+import path from "path";
+import ignore from "ignore";
+import picomatch from "picomatch";
+
+// .apexignore uses gitignore syntax, for files the agent should skip but git shouldn't
+const IGNORE_FILES = [".gitignore", ".apexignore"];
+const ALWAYS_SKIP = new Set([".git"]);
+
+/**
+ * Walk a directory tree, yielding files (and optionally directories)
+ * @param {string} rootDir - Absolute directory to start from
+ * @param {Object} options - { respectIgnore?: boolean, maxDepth?: number, includeDirs?: boolean, baseDir?: string,
+ *   skipDirs?: Set<string> } where skipDirs names directories to leave out even when not ignored
+ * @yields {Object} { fullPath, relPath, dirent, depth } with relPath (relative to baseDir) using "/" separators
+ */
+export function* walkFiles(rootDir, options = {}) {
+  const { respectIgnore = true, maxDepth = Infinity, includeDirs = false, baseDir = rootDir, skipDirs = null } = options;
+
+  function* walk(dir, depth, ignoreStack) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    const stack = respectIgnore ? [...ignoreStack, ...loadIgnoreRules(dir)] : ignoreStack;
+
+    for (const dirent of entries) {
+      if (ALWAYS_SKIP.has(dirent.name)) continue;
+
+      const fullPath = path.join(dir, dirent.name);
+      const isDir = dirent.isDirectory();
+
+      if (isDir && skipDirs?.has(dirent.name)) continue;
+      if (stack.some((rules) => rules.ignores(fullPath, isDir))) continue;
+
+      const relPath = toPosix(path.relative(baseDir, fullPath));
+
+      if (isDir) {
+        if (includeDirs) yield { fullPath, relPath, dirent, depth };
+        if (depth < maxDepth) yield* walk(fullPath, depth + 1, stack);
+      } else if (dirent.isFile()) {
+        yield { fullPath, relPath, dirent, depth };
+      }
+    }
+  }
+
+  yield* walk(rootDir, 0, respectIgnore ? loadParentIgnoreRules(rootDir) : []);
+}
+
+/**
+ * Build a matcher for a list of glob patterns. Patterns without a "/"
+ * match against the file name only, so "*.js" finds files at any depth.
+ * @param {string|string[]} patterns - Globs such as "src/**\/*.test.js" or "*.{js,ts}"
+ * @param {Object} options - { nocase?: boolean }
+ * @returns {Function|null} (relPath) => boolean, or null when no patterns were given
+ */
+export function createGlobMatcher(patterns, options = {}) {
+  const list = (Array.isArray(patterns) ? patterns : [patterns]).filter(Boolean);
+  if (list.length === 0) return null;
+
+  const matchers = list.map((pattern) => {
+    const matchBase = !pattern.includes("/");
+    return picomatch(pattern, {
+      dot: true,
+      basename: matchBase,
+      nocase: options.nocase ?? process.platform === "win32",
+    });
+  });
+
+  return (relPath) => matchers.some((isMatch) => isMatch(relPath));
+}
+
+export function toPosix(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+// Ignore rules from one directory's ignore files, scoped to that directory
+function loadIgnoreRules(dir) {
+  const rules = [];
+
+  for (const name of IGNORE_FILES) {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) continue;
+
+    try {
+      const ig = ignore().add(fs.readFileSync(file, "utf-8"));
+      rules.push({
+        ignores: (fullPath, isDir) => {
+          const rel = toPosix(path.relative(dir, fullPath));
+          return ig.ignores(isDir ? `${rel}/` : rel);
+        },
+      });
+    } catch (error) {
+      // An unreadable ignore file shouldn't stop the search
+    }
+  }
+
+  return rules;
+}
+
+// When searching a subdirectory of a repository, ignore rules from the
+// enclosing directories up to the repository root still apply
+function loadParentIgnoreRules(rootDir) {
+  const parents = [];
+  let dir = rootDir;
+
+  while (!fs.existsSync(path.join(dir, ".git"))) {
+    const parent = path.dirname(dir);
+    if (parent === dir) return [];
+    dir = parent;
+    parents.unshift(dir);
+  }
+
+  // Searching inside an ignored directory on purpose (e.g. node_modules/pkg)
+  // means the user wants to see it, like ripgrep does for explicit paths
+  const rules = parents.flatMap(loadIgnoreRules);
+  return rules.some((r) => r.ignores(rootDir, true)) ? [] : rules;
+}
@@ -0,0 +1,145 @@
+// Web Page Reader - Fetch a page, strip it down to markdown (links kept as absolute URLs)
+// and cache the result per session so paging through a long page only downloads it once
+
+import TurndownService from "turndown";
+
+import { config } from "../../../config/google.config.js";
+import { sendHttpRequest } from "./http.js";
+
+const MAX_PAGE_CHARS = 2 * 1024 * 1024;
+const MAX_CACHED_PAGES = 50;
+
+// Elements that never carry readable content
+const NOISE_ELEMENTS = ["script", "style", "noscript", "template", "svg", "canvas", "iframe", "form", "nav", "footer"];
+
+// sessionId -> Map<url, page>, oldest entry first
+const pageCache = new Map();
+
+/**
+ * Fetch a URL as readable text, from the session cache when possible
+ * @param {string} url - Absolute http(s) URL
+ * @param {Object} options - { sessionId?, timeoutMs, refresh?: boolean, allowPrivateHosts?: boolean }
+ *   (allowPrivateHosts defaults to APEX_WEB_FETCH_ALLOW_PRIVATE, e.g. for a local test server)
+ * @returns {Promise<Object>} { url, title, status, contentType, content, truncated, cached } (truncated: the
+ *   page was longer than MAX_PAGE_CHARS and only its start was downloaded)
+ * @throws {Error} On blocked hosts, network errors, timeouts and binary responses
+ */
+export async function fetchPage(
+  url,
+  { sessionId = null, timeoutMs, refresh = false, allowPrivateHosts = config.http.webFetchAllowPrivate },
+) {
+  const cache = getSessionCache(sessionId);
+  if (!refresh && cache.has(url)) {
+    return { ...cache.get(url), cached: true };
+  }
+
+  // Any host that isn't denied, as long as every hop resolves to a public address
+  const response = await sendHttpRequest(url, {
+    method: "GET",
+    headers: { Accept: "text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.5" },
+    timeoutMs,
+    maxBodyChars: MAX_PAGE_CHARS,
+    hosts: { allowHosts: ["*"] },
+    publicOnly: !allowPrivateHosts,
+  });
+
+  if (response.binary) {
+    throw new Error(`${response.url} returned binary content (${response.contentType || "unknown type"})`);
+  }
+
+  const isHtml = /html/i.test(response.contentType) || (!response.contentType && /^\s*</.test(response.body));
+  const page = {
+    url: response.url,
+    title: isHtml ? extractTitle(response.body) : "",
+    status: response.status,
+    contentType: response.contentType,
+    content: isHtml ? htmlToMarkdown(response.body, response.url) : response.body,
+    truncated: response.truncated,
+  };
+
+  cache.set(url, page);
+  if (cache.size > MAX_CACHED_PAGES) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return { ...page, cached: false };
+}
+
+/**
+ * Convert an HTML document to markdown
+ * @param {string} html - Page source
+ * @param {string} baseUrl - Used to make relative links absolute
+ * @returns {string} Markdown
+ */
+export function htmlToMarkdown(html, baseUrl) {
+  const turndown = new TurndownService({
+    headingStyle: "atx",
+    codeBlockStyle: "fenced",
+    bulletListMarker: "-",
+  });
+
+  turndown.remove([...NOISE_ELEMENTS, "head", "title"]);
+
+  turndown.addRule("absoluteLinks", {
+    filter: (node) => node.nodeName === "A" && node.getAttribute("href"),
+    replacement: (content, node) => {
+      const text = content.trim();
+      const href = absoluteUrl(node.getAttribute("href"), baseUrl);
+      if (!text) return "";
+      if (!href) return text;
+      return `[${text}](${href})`;
+    },
+  });
+
+  turndown.addRule("absoluteImages", {
+    filter: "img",
+    replacement: (content, node) => {
+      const alt = (node.getAttribute("alt") || "").trim();
+      const src = absoluteUrl(node.getAttribute("src"), baseUrl);
+      return alt && src ? `![${alt}](${src})` : "";
+    },
+  });
+
+  return turndown
+    .turndown(html)
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function extractTitle(html) {
+  const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? decodeEntities(match[1]).replace(/\s+/g, " ").trim() : "";
+}
+
+// Only the entities that commonly show up in titles
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+// Links the model can't fetch (javascript:, mailto:, same-page anchors) are dropped
+function absoluteUrl(href, baseUrl) {
+  if (!href || href.startsWith("#")) return null;
+  try {
+    const url = new URL(href, baseUrl);
+    return ["http:", "https:"].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getSessionCache(sessionId) {
+  const key = sessionId || "default";
+  if (!pageCache.has(key)) {
+    pageCache.set(key, new Map());
+  }
+  return pageCache.get(key);
+}
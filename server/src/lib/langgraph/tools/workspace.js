@@ -0,0 +1,117 @@
+// Workspace Sandbox - Keep file tools inside the project the agent was started in
+// Paths are checked after resolving `..` segments and symlinks
+
+import fs from "fs";
+import path from "path";
+import { config } from "../../../config/google.config.js";
+
+// Same limit as Linux's ELOOP
+const MAX_SYMLINK_DEPTH = 40;
+
+/**
+ * Override the workspace root and/or the extra allowed directories. The root is stored
+ * without symlinks so it lines up with the paths resolveWorkspacePath returns.
+ * @param {Object} options - { root?: string, allowedDirs?: string[] }
+ */
+export function configureWorkspace(options = {}) {
+  config.workspace.root = realpathLoose(path.resolve(options.root || config.workspace.root));
+  if (options.allowedDirs?.length) {
+    config.workspace.allowedDirs = [
+      ...config.workspace.allowedDirs,
+      ...options.allowedDirs.map((dir) => path.resolve(dir)),
+    ];
+  }
+}
+
+/**
+ * Get the directories tools are allowed to access, root first
+ * @returns {string[]} Absolute, symlink-free directory paths
+ */
+export function getAllowedRoots() {
+  return [config.workspace.root, ...config.workspace.allowedDirs].map(realpathLoose);
+}
+
+/**
+ * Resolve a tool-supplied path against the workspace root and refuse
+ * anything that lands outside the sandbox.
+ * @param {string} inputPath - Relative or absolute path from the model
+ * @returns {string} Absolute, symlink-free path inside the workspace
+ * @throws {Error} When the path escapes the workspace
+ */
+export function resolveWorkspacePath(inputPath = ".") {
+  const resolvedPath = path.resolve(config.workspace.root, inputPath);
+  const realPath = realpathLoose(resolvedPath);
+
+  if (!getAllowedRoots().some((root) => isInside(realPath, root))) {
+    throw new Error(
+      `Access denied: "${inputPath}" resolves outside the workspace (${config.workspace.root}). ` +
+      `Only files under the workspace or an allowed directory (APEX_WORKSPACE_ALLOW) can be accessed.`
+    );
+  }
+
+  return realPath;
+}
+
+/**
+ * Check whether a path is inside the sandbox without throwing
+ * @param {string} inputPath - Path to check
+ * @returns {boolean} True if the path is accessible
+ */
+export function isInsideWorkspace(inputPath) {
+  try {
+    resolveWorkspacePath(inputPath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isInside(target, root) {
+  const relative = path.relative(root, target);
+  return (
+    relative === "" ||
+    (relative !== ".." && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative))
+  );
+}
+
+/**
+ * realpath that also works for files that don't exist yet: resolve the deepest
+ * existing ancestor and re-append the missing tail. Dangling symlinks on the way
+ * are followed, since writing through one creates its target.
+ * @param {string} targetPath - Absolute path
+ * @param {number} depth - Symlinks followed so far
+ * @returns {string} The path with every symlink resolved
+ */
+export function realpathLoose(targetPath, depth = 0) {
+  let current = targetPath;
+  const missing = [];
+
+  while (true) {
+    try {
+      return path.join(fs.realpathSync(current), ...missing);
+    } catch (error) {
+      const link = readSymlink(current);
+      if (link !== null) {
+        if (depth >= MAX_SYMLINK_DEPTH) {
+          throw new Error(`Too many levels of symbolic links at "${current}"`);
+        }
+        return realpathLoose(path.join(path.resolve(path.dirname(current), link), ...missing), depth + 1);
+      }
+
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return targetPath;
+      }
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+function readSymlink(filePath) {
+  try {
+    return fs.lstatSync(filePath).isSymbolicLink() ? fs.readlinkSync(filePath) : null;
+  } catch (error) {
+    return null;
+  }
+}